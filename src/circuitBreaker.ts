@@ -0,0 +1,65 @@
+import {
+  Microseconds,
+  Milliseconds,
+  getCurrentMicroseconds,
+  microsecondsToMilliseconds,
+  millisecondsToMicroseconds,
+} from './time';
+
+/**
+ * Options for the circuit breaker used around a rate limiter's store.
+ * See `README.md` for more information.
+ */
+export interface CircuitBreakerOptions {
+  failureThreshold: number;
+  cooldown: number;
+}
+
+/**
+ * Stops calls to a failing store. After `failureThreshold` consecutive failures, the circuit opens
+ * and calls are skipped for `cooldown` milliseconds. After that, calls are let through again, and
+ * the first success closes the circuit, while the first failure reopens it.
+ */
+export class CircuitBreaker {
+  failureThreshold: number;
+  cooldown: Microseconds;
+  consecutiveFailures: number;
+  openedAt: Microseconds | null;
+
+  constructor({ failureThreshold, cooldown }: CircuitBreakerOptions) {
+    this.failureThreshold = failureThreshold;
+    this.cooldown = millisecondsToMicroseconds(cooldown as Milliseconds);
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * Returns whether calls should currently be skipped.
+   */
+  isOpen(): boolean {
+    return (
+      this.openedAt != null && getCurrentMicroseconds() - this.openedAt < this.cooldown
+    );
+  }
+
+  /**
+   * Returns how long until calls are let through again, or `0` if they already are.
+   */
+  getRemainingCooldown(): Milliseconds {
+    if (this.openedAt == null) return 0 as Milliseconds;
+    const remaining = this.cooldown - (getCurrentMicroseconds() - this.openedAt);
+    return microsecondsToMilliseconds(Math.max(0, remaining) as Microseconds);
+  }
+
+  recordSuccess() {
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+  }
+
+  recordFailure() {
+    this.consecutiveFailures++;
+    if (this.consecutiveFailures >= this.failureThreshold) {
+      this.openedAt = getCurrentMicroseconds();
+    }
+  }
+}
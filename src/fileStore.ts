@@ -0,0 +1,121 @@
+import { promises as fs } from 'fs';
+
+import { GetActionsOptions, RateLimitStore, isBlockedByTiers } from './stores';
+import { Microseconds } from './time';
+import { Action } from '.';
+
+/**
+ * Contents of the file used by `FileStore`. Actions are stored as `[timestamp, weight]` pairs.
+ */
+interface FileStoreData {
+  version: 1;
+  keys: Record<
+    string,
+    { expiresAt: number; actions: Array<[number, number]> } | undefined
+  >;
+}
+
+export interface FileStoreOptions {
+  path: string;
+}
+
+/**
+ * Store that keeps state in a JSON file, for CLI tools and scripts that need state to persist
+ * between runs. Writes are atomic, and calls within a process are serialized, but separate
+ * processes using the same file at the same time may overwrite each other's actions.
+ */
+export class FileStore implements RateLimitStore {
+  path: string;
+  private queue: Promise<unknown>;
+
+  constructor({ path }: FileStoreOptions) {
+    this.path = path;
+    this.queue = Promise.resolve();
+  }
+
+  async clear(key: string) {
+    await this.update((data) => {
+      delete data.keys[key];
+    });
+  }
+
+  async getActions(
+    key: string,
+    { now, clearBefore, expireAfter, newAction, onlyIfAllowedBy }: GetActionsOptions,
+  ) {
+    return this.update((data) => {
+      const entry = data.keys[key];
+      const storedActions: Array<Action> = (entry ? entry.actions : [])
+        .map(([timestamp, weight]) => ({ timestamp: timestamp as Microseconds, weight }))
+        .filter((a) => a.timestamp > clearBefore);
+
+      const blocked =
+        newAction &&
+        onlyIfAllowedBy &&
+        isBlockedByTiers(onlyIfAllowedBy, storedActions, newAction);
+      if (newAction && !blocked) {
+        data.keys[key] = {
+          expiresAt: (now as number) + (expireAfter as number),
+          actions: [...storedActions, newAction].map((a) => [a.timestamp, a.weight]),
+        };
+      } else if (entry) {
+        entry.actions = storedActions.map((a) => [a.timestamp, a.weight]);
+      }
+
+      // Drop keys that have expired, so that the file does not grow forever.
+      for (const [otherKey, otherEntry] of Object.entries(data.keys)) {
+        if (otherEntry && otherEntry.expiresAt <= now) delete data.keys[otherKey];
+      }
+
+      return storedActions;
+    });
+  }
+
+  /**
+   * Reads the file, passes its contents to `updater` to be modified, and writes it back. Calls are
+   * queued so that they never interleave.
+   */
+  private update<T>(updater: (data: FileStoreData) => T): Promise<T> {
+    const result = this.queue.then(async () => {
+      const data = await this.read();
+      const value = updater(data);
+      await this.write(data);
+      return value;
+    });
+    this.queue = result.catch(() => undefined);
+    return result;
+  }
+
+  private async read(): Promise<FileStoreData> {
+    let contents;
+    try {
+      contents = await fs.readFile(this.path, 'utf8');
+    } catch (err) {
+      if ((err as NodeJS.ErrnoException).code === 'ENOENT')
+        return { version: 1, keys: {} };
+      throw err;
+    }
+
+    const data = JSON.parse(contents) as FileStoreData;
+    if (data.version !== 1) {
+      throw new Error(
+        `Unsupported rate limiter file version in ${this.path}: ${String(data.version)}`,
+      );
+    }
+    return data;
+  }
+
+  private async write(data: FileStoreData) {
+    await writeFileAtomically(this.path, JSON.stringify(data));
+  }
+}
+
+/**
+ * Writes to a temporary file and renames it over the real one, so that the file is never left
+ * partially written.
+ */
+export async function writeFileAtomically(path: string, contents: string) {
+  const temporaryPath = `${path}.${process.pid}.tmp`;
+  await fs.writeFile(temporaryPath, contents);
+  await fs.rename(temporaryPath, path);
+}
@@ -1,13 +1,39 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
 import IORedis from 'ioredis';
 import microtime from 'microtime';
 import redis from 'redis';
+import initSqlJs, { SqlJsStatic } from 'sql.js';
 
 import {
   RateLimiter,
   RateLimiterOptions,
+  MultiTierRateLimiterOptions,
   InMemoryRateLimiter,
+  InMemoryMultiTierRateLimiter,
+  InMemoryTokenBucketRateLimiter,
   RedisRateLimiter,
+  RedisMultiTierRateLimiter,
+  RedisTokenBucketRateLimiter,
+  TokenBucketRateLimiterOptions,
+  FileStore,
+  Id,
+  InMemoryStore,
+  InMemoryStoreState,
+  ListIdsResult,
+  RateLimitClearedEvent,
+  RateLimitDecisionEvent,
+  RateLimitInfo,
+  RateLimitStore,
+  RedisClient,
+  RedisStore,
+  SqlClient,
+  SqlStore,
   millisecondsToMicroseconds,
+  migrateState,
+  Microseconds,
   Milliseconds,
 } from '.';
 
@@ -33,6 +59,78 @@ describe('options validation', () => {
     expect(() => new RateLimiter(options)).toThrow();
   });
 
+  it('throws if hashTag is `namespace` without a namespace', () => {
+    expect(() => new RateLimiter({ ...options, hashTag: 'namespace' })).toThrow();
+    expect(
+      () => new RateLimiter({ ...options, hashTag: 'namespace', namespace: 'a:' }),
+    ).not.toThrow();
+  });
+
+  it('throws if namespace is empty with Redis', () => {
+    const client = {} as RedisClient;
+    expect(() => new RedisRateLimiter({ ...options, client, namespace: '' })).toThrow(
+      '`options.namespace` is required with Redis',
+    );
+    const store = new RedisStore({ client });
+    expect(() => new RateLimiter({ ...options, store })).toThrow();
+    expect(() => new RateLimiter({ ...options, store, namespace: 'a:' })).not.toThrow();
+  });
+
+  it('throws if penaltyBox options are invalid', () => {
+    const penaltyBox = { maxViolations: 3, window: 1000, banDuration: 1000 };
+    expect(() => new RateLimiter({ ...options, penaltyBox })).not.toThrow();
+    expect(
+      () =>
+        new RateLimiter({ ...options, penaltyBox: { ...penaltyBox, maxViolations: 0 } }),
+    ).toThrow();
+    expect(
+      () =>
+        new RateLimiter({
+          ...options,
+          penaltyBox: { ...penaltyBox, maxBanDuration: 500 },
+        }),
+    ).toThrow();
+  });
+
+  it('throws if lease options are invalid', () => {
+    const lease = { size: 5, ttl: 1000 };
+    expect(() => new RateLimiter({ ...options, minDifference: 0, lease })).not.toThrow();
+    expect(() => new RateLimiter({ ...options, lease })).toThrow();
+    expect(
+      () =>
+        new RateLimiter({ ...options, minDifference: 0, lease: { ...lease, size: 0 } }),
+    ).toThrow();
+    expect(
+      () =>
+        new RateLimiter({
+          ...options,
+          minDifference: 0,
+          algorithm: 'token-bucket',
+          lease,
+        }),
+    ).toThrow();
+  });
+
+  it('throws if requireCommit is used with another algorithm', () => {
+    expect(
+      () =>
+        new RateLimiter({
+          ...options,
+          minDifference: 0,
+          algorithm: 'sliding-window-counter',
+          requireCommit: true,
+        }),
+    ).toThrow();
+  });
+
+  it('throws if snapshotInterval is not positive', () => {
+    expect(() => new InMemoryRateLimiter({ ...options, snapshotInterval: 0 })).toThrow();
+  });
+
+  it('throws if limitsCacheTtl is negative', () => {
+    expect(() => new RateLimiter({ ...options, limitsCacheTtl: -1 })).toThrow();
+  });
+
   it('throws if interval is zero', () => {
     options.interval = 0;
     expect(() => new RateLimiter(options)).toThrow();
@@ -71,6 +169,44 @@ describe('options validation', () => {
   it('passes with full options', () => {
     expect(() => new RateLimiter(options)).not.toThrow();
   });
+
+  it('throws if minDifference is set with the sliding window counter algorithm', () => {
+    expect(
+      () => new RateLimiter({ ...options, algorithm: 'sliding-window-counter' }),
+    ).toThrow();
+  });
+
+  it('rejects if the store does not support the sliding window counter algorithm', async () => {
+    const store = { getActions: async () => [], clear: async () => undefined };
+    const limiter = new RateLimiter({
+      ...options,
+      minDifference: 0,
+      algorithm: 'sliding-window-counter',
+      store,
+    });
+    await expect(limiter.limit(1)).rejects.toThrow();
+  });
+
+  it('throws if token bucket capacity is not positive', () => {
+    expect(
+      () => new InMemoryTokenBucketRateLimiter({ capacity: 0, refillRatePerSecond: 1 }),
+    ).toThrow();
+  });
+
+  it('throws if token bucket refill rate is not positive', () => {
+    expect(
+      () => new InMemoryTokenBucketRateLimiter({ capacity: 10, refillRatePerSecond: 0 }),
+    ).toThrow();
+  });
+
+  it('throws if multi-tier limiter has no tiers', () => {
+    expect(() => new InMemoryMultiTierRateLimiter({ tiers: [] })).toThrow();
+  });
+
+  it('throws if any tier is invalid', () => {
+    const tiers = [options, { interval: 1000, maxInInterval: 0 }];
+    expect(() => new InMemoryMultiTierRateLimiter({ tiers })).toThrow();
+  });
 });
 
 describe('RateLimiter implementations', () => {
@@ -145,6 +281,105 @@ describe('RateLimiter implementations', () => {
       expect(await limiter.limit(id)).toBe(true);
     });
 
+    it('blocked actions do not count if countBlockedActions is false', async () => {
+      const options = { interval: 10, maxInInterval: 3, countBlockedActions: false };
+      const limiter = await createLimiter(options);
+
+      // Block this id.
+      setTime(0);
+      await limiter.limit(id);
+      await limiter.limit(id);
+      await limiter.limit(id);
+
+      // `interval` time has not passed, so we should still block all actions.
+      setTime(options.interval - 1);
+      expect(await limiter.limit(id)).toBe(true);
+      expect(await limiter.limit(id)).toBe(true);
+
+      // The first 3 actions have cleared, and the blocked ones were never stored.
+      setTime(options.interval);
+      expect(await limiter.limit(id)).toBe(false);
+      expect(await limiter.limit(id)).toBe(false);
+      expect(await limiter.limit(id)).toBe(false);
+      expect(await limiter.limit(id)).toBe(true);
+    });
+
+    it('blocked actions do not count towards minDifference if countBlockedActions is false', async () => {
+      const options = {
+        interval: 10,
+        maxInInterval: 4,
+        minDifference: 2,
+        countBlockedActions: false,
+      };
+      const limiter = await createLimiter(options);
+
+      setTime(0);
+      expect(await limiter.limit(id)).toBe(false);
+
+      // Blocked, but does not push back the next allowed time.
+      setTime(1);
+      expect(await limiter.limitWithInfo(id)).toEqual({
+        blocked: true,
+        blockedDueToCount: false,
+        blockedDueToMinDifference: true,
+        millisecondsUntilAllowed: 2,
+        actionsRemaining: 2,
+        maxInInterval: 4,
+      });
+
+      setTime(2);
+      expect(await limiter.limit(id)).toBe(false);
+    });
+
+    it('counts weighted actions by their weight', async () => {
+      const options = { interval: 10, maxInInterval: 5 };
+      const limiter = await createLimiter(options);
+
+      setTime(0);
+      expect(await limiter.limit(id, 3)).toBe(false);
+
+      setTime(2);
+      expect(await limiter.wouldLimit(id, 3)).toBe(true);
+      expect(await limiter.wouldLimit(id, 2)).toBe(false);
+      expect(await limiter.limitWithInfo(id, 2)).toEqual({
+        blocked: false,
+        blockedDueToCount: false,
+        blockedDueToMinDifference: false,
+        millisecondsUntilAllowed: 8, // at 10, the first action will clear
+        actionsRemaining: 0,
+        maxInInterval: 5,
+        token: expect.any(String) as string,
+      });
+
+      setTime(10);
+      expect(await limiter.limit(id, 4)).toBe(true);
+
+      setTime(11);
+      expect(await limiter.limit(id, 1)).toBe(true); // the blocked action still counts
+
+      setTime(23);
+      expect(await limiter.limit(id, 5)).toBe(false);
+    });
+
+    it('does not count blocked weighted actions if countBlockedActions is false', async () => {
+      const options = { interval: 10, maxInInterval: 5, countBlockedActions: false };
+      const limiter = await createLimiter(options);
+
+      setTime(0);
+      expect(await limiter.limit(id, 3)).toBe(false);
+      expect(await limiter.limit(id, 3)).toBe(true);
+      expect(await limiter.limit(id, 2)).toBe(false);
+
+      setTime(10);
+      expect(await limiter.limit(id, 5)).toBe(false);
+    });
+
+    it('rejects non-positive weights', async () => {
+      const limiter = await createLimiter({ interval: 10, maxInInterval: 5 });
+      await expect(limiter.limit(id, 0)).rejects.toThrow();
+      await expect(limiter.wouldLimit(id, -1)).rejects.toThrow();
+    });
+
     it('prevents actions less than minDistance apart', async () => {
       const options = { interval: 10, maxInInterval: 4, minDifference: 2 };
       const limiter = await createLimiter(options);
@@ -195,6 +430,8 @@ describe('RateLimiter implementations', () => {
         blockedDueToMinDifference: false,
         millisecondsUntilAllowed: 0,
         actionsRemaining: 2,
+        maxInInterval: 3,
+        token: expect.any(String) as string,
       });
 
       setTime(4);
@@ -204,6 +441,8 @@ describe('RateLimiter implementations', () => {
         blockedDueToMinDifference: false,
         millisecondsUntilAllowed: 0,
         actionsRemaining: 1,
+        maxInInterval: 3,
+        token: expect.any(String) as string,
       });
 
       setTime(5);
@@ -213,6 +452,8 @@ describe('RateLimiter implementations', () => {
         blockedDueToMinDifference: false,
         millisecondsUntilAllowed: 5, // at 10, the first action will clear
         actionsRemaining: 0,
+        maxInInterval: 3,
+        token: expect.any(String) as string,
       });
 
       setTime(8);
@@ -222,6 +463,7 @@ describe('RateLimiter implementations', () => {
         blockedDueToMinDifference: false,
         millisecondsUntilAllowed: 6, // at 14, the second action will clear
         actionsRemaining: 0,
+        maxInInterval: 3,
       });
 
       setTime(11);
@@ -231,6 +473,7 @@ describe('RateLimiter implementations', () => {
         blockedDueToMinDifference: false,
         millisecondsUntilAllowed: 4, // at 15, the third action will clear
         actionsRemaining: 0,
+        maxInInterval: 3,
       });
 
       setTime(17);
@@ -240,6 +483,7 @@ describe('RateLimiter implementations', () => {
         blockedDueToMinDifference: false,
         millisecondsUntilAllowed: 0,
         actionsRemaining: 1,
+        maxInInterval: 3,
       });
     });
 
@@ -254,6 +498,8 @@ describe('RateLimiter implementations', () => {
         blockedDueToMinDifference: false,
         millisecondsUntilAllowed: 2, // due to minDifference
         actionsRemaining: 2,
+        maxInInterval: 3,
+        token: expect.any(String) as string,
       });
 
       setTime(4);
@@ -263,6 +509,8 @@ describe('RateLimiter implementations', () => {
         blockedDueToMinDifference: false,
         millisecondsUntilAllowed: 2, // due to minDifference
         actionsRemaining: 1,
+        maxInInterval: 3,
+        token: expect.any(String) as string,
       });
 
       setTime(5);
@@ -272,6 +520,7 @@ describe('RateLimiter implementations', () => {
         blockedDueToMinDifference: true,
         millisecondsUntilAllowed: 5, // at 10, the first action will clear
         actionsRemaining: 0,
+        maxInInterval: 3,
       });
 
       setTime(8);
@@ -281,6 +530,7 @@ describe('RateLimiter implementations', () => {
         blockedDueToMinDifference: false,
         millisecondsUntilAllowed: 6, // at 14, the second action will clear
         actionsRemaining: 0,
+        maxInInterval: 3,
       });
 
       setTime(11);
@@ -290,6 +540,7 @@ describe('RateLimiter implementations', () => {
         blockedDueToMinDifference: false,
         millisecondsUntilAllowed: 4, // at 15, the third action will clear
         actionsRemaining: 0,
+        maxInInterval: 3,
       });
 
       setTime(17);
@@ -299,62 +550,2070 @@ describe('RateLimiter implementations', () => {
         blockedDueToMinDifference: false,
         millisecondsUntilAllowed: 2,
         actionsRemaining: 1,
+        maxInInterval: 3,
       });
     });
   }
 
-  describe('InMemoryRateLimiter', () => {
-    sharedExamples((opts) => new InMemoryRateLimiter(opts));
-  });
+  function sharedManyExamples(
+    _createLimiter: (options: RateLimiterOptions) => RateLimiter,
+  ) {
+    const ids = [1, 2, 3];
 
-  describe('RedisRateLimiter (`redis` client)', () => {
-    let client: redis.RedisClient;
-    beforeEach(() => {
-      client = redis.createClient();
+    async function createLimiter(options: RateLimiterOptions): Promise<RateLimiter> {
+      const limiter = _createLimiter(options);
+      await Promise.all(ids.map((id) => limiter.clear(id)));
+      return limiter;
+    }
+
+    it('limits several ids in one call', async () => {
+      const options = { interval: 10, maxInInterval: 2 };
+      const limiter = await createLimiter(options);
+
+      setTime(0);
+      expect(await limiter.limitManyWithInfo([1, 2])).toEqual([
+        expect.objectContaining({ blocked: false, actionsRemaining: 1 }),
+        expect.objectContaining({ blocked: false, actionsRemaining: 1 }),
+      ]);
+
+      setTime(1);
+      expect(await limiter.limit(1)).toBe(false);
+
+      setTime(2);
+      expect(await limiter.limitManyWithInfo([1, 2])).toEqual([
+        expect.objectContaining({ blocked: true, actionsRemaining: 0 }),
+        expect.objectContaining({ blocked: false, actionsRemaining: 0 }),
+      ]);
+
+      setTime(3);
+      const infos = await limiter.wouldLimitManyWithInfo([1, 2, 3]);
+      expect(infos.map((info) => info.blocked)).toEqual([true, true, false]);
+      expect(await limiter.limitManyWithInfo([])).toEqual([]);
     });
-    afterEach((cb) => client.quit(cb));
 
-    sharedExamples(
-      (opts) =>
-        new RedisRateLimiter({
-          client,
-          namespace: 'rolling-rate-limiter-redis',
-          ...opts,
-        }),
-    );
-  });
+    it('only records the action if every id allows it, with allOrNothing', async () => {
+      const options = { interval: 10, maxInInterval: 1 };
+      const limiter = await createLimiter(options);
 
-  describe('RedisRateLimiter (`redis` client, `return_buffers` enabled)', () => {
-    let client: redis.RedisClient;
-    beforeEach(() => {
-      client = redis.createClient({ return_buffers: true });
+      setTime(0);
+      expect(await limiter.limit(1)).toBe(false);
+
+      setTime(1);
+      const infos = await limiter.limitManyWithInfo([1, 2], { allOrNothing: true });
+      expect(infos.map((info) => info.blocked)).toEqual([true, false]);
+      expect(await limiter.wouldLimit(2)).toBe(false);
+
+      setTime(2);
+      const otherInfos = await limiter.limitManyWithInfo([2, 3], { allOrNothing: true });
+      expect(otherInfos.map((info) => info.blocked)).toEqual([false, false]);
+      expect(await limiter.wouldLimit(2)).toBe(true);
+      expect(await limiter.wouldLimit(3)).toBe(true);
     });
-    afterEach((cb) => client.quit(cb));
+  }
 
-    sharedExamples(
-      (opts) =>
-        new RedisRateLimiter({
-          client,
-          namespace: 'rolling-rate-limiter-redis',
-          ...opts,
-        }),
-    );
-  });
+  function sharedAdminExamples(
+    _createLimiter: (options: RateLimiterOptions) => RateLimiter,
+  ) {
+    async function createLimiter(options: RateLimiterOptions): Promise<RateLimiter> {
+      const limiter = _createLimiter(options);
+      await limiter.clearAll();
+      return limiter;
+    }
 
-  describe('RedisRateLimiter (`ioredis` client)', () => {
-    let client: IORedis.Redis;
-    beforeEach(() => {
-      client = new IORedis();
+    it('returns the usage of an id', async () => {
+      const options = { interval: 10, maxInInterval: 2 };
+      const limiter = await createLimiter(options);
+
+      setTime(1);
+      await limiter.limit('user:1');
+      setTime(3);
+      await limiter.limit('user:1', 0.5);
+
+      setTime(5);
+      expect(await limiter.getUsage('user:1')).toEqual({
+        actions: [
+          { timestamp: 1000, weight: 1 },
+          { timestamp: 3000, weight: 0.5 },
+        ],
+        windowStart: -5000,
+        nextAllowedAt: 11000, // once the first action clears
+      });
     });
-    afterEach((cb) => client.quit(cb));
 
-    sharedExamples(
-      (opts) =>
-        new RedisRateLimiter({
-          client,
-          namespace: 'rolling-rate-limiter-ioredis',
-          ...opts,
-        }),
-    );
+    it('lists and clears ids', async () => {
+      const options = { interval: 10, maxInInterval: 2 };
+      const limiter = await createLimiter(options);
+
+      setTime(0);
+      for (const id of ['user:1', 'user:2', 'user:3', 'org:1']) await limiter.limit(id);
+
+      const ids = [];
+      let cursor: string | null = null;
+      do {
+        const page: ListIdsResult = await limiter.listKeys({
+          prefix: 'user:',
+          cursor,
+          count: 2,
+        });
+        ids.push(...page.ids);
+        cursor = page.cursor;
+      } while (cursor);
+      expect(ids.sort()).toEqual(['user:1', 'user:2', 'user:3']);
+
+      expect(await limiter.clearByPattern('user:[12]')).toBe(2);
+      expect(await limiter.wouldLimitWithInfo('user:1')).toMatchObject({
+        actionsRemaining: 1,
+      });
+      expect(await limiter.wouldLimitWithInfo('user:3')).toMatchObject({
+        actionsRemaining: 0,
+      });
+
+      expect(await limiter.clearAll()).toBe(2);
+      expect(await limiter.listKeys()).toEqual({ ids: [], cursor: null });
+    });
+  }
+
+  function sharedPerIdLimitsExamples(
+    _createLimiter: (options: RateLimiterOptions) => RateLimiter,
+  ) {
+    const plans: Record<string, { maxInInterval: number } | null> = {
+      free: null,
+      pro: { maxInInterval: 3 },
+    };
+
+    async function createLimiter(options: RateLimiterOptions): Promise<RateLimiter> {
+      const limiter = _createLimiter(options);
+      await limiter.clearAll();
+      if (options.limitOverrides) {
+        for (const id of ['free:1', 'pro:1']) await limiter.clearLimitOverride(id);
+      }
+      return limiter;
+    }
+
+    it('uses the limits returned by resolveLimits, cached for limitsCacheTtl', async () => {
+      const resolveLimits = jest.fn(async (id: Id) => plans[String(id).split(':')[0]]);
+      const options = {
+        interval: 10,
+        maxInInterval: 1,
+        resolveLimits,
+        limitsCacheTtl: 100,
+      };
+      const limiter = await createLimiter(options);
+
+      setTime(0);
+      expect(await limiter.limitWithInfo('free:1')).toMatchObject({
+        actionsRemaining: 0,
+      });
+      expect(await limiter.limitWithInfo('pro:1')).toMatchObject({ actionsRemaining: 2 });
+      expect(await limiter.limit('pro:1')).toBe(false);
+      expect(await limiter.limit('pro:1')).toBe(false);
+      expect(await limiter.limit('pro:1')).toBe(true);
+      expect(await limiter.limitManyWithInfo(['free:1', 'pro:1'])).toMatchObject([
+        { blocked: true, actionsRemaining: 0 },
+        { blocked: true, actionsRemaining: 0 },
+      ]);
+      expect(resolveLimits).toHaveBeenCalledTimes(2);
+
+      setTime(100);
+      await limiter.wouldLimit('pro:1');
+      expect(resolveLimits).toHaveBeenCalledTimes(3);
+    });
+
+    it('uses overrides set at runtime over resolveLimits', async () => {
+      const resolveLimits = (id: Id) => plans[String(id).split(':')[0]];
+      const options = {
+        interval: 10,
+        maxInInterval: 1,
+        resolveLimits,
+        limitOverrides: true,
+      };
+      const limiter = await createLimiter(options);
+      const otherLimiter = _createLimiter(options);
+
+      setTime(0);
+      expect(await otherLimiter.getLimitOverride('pro:1')).toBe(null);
+      await limiter.setLimitOverride('pro:1', { interval: 20, maxInInterval: 2 });
+      expect(await otherLimiter.getLimitOverride('pro:1')).toEqual({
+        interval: 20,
+        maxInInterval: 2,
+      });
+      expect(await limiter.limitWithInfo('pro:1')).toMatchObject({ actionsRemaining: 1 });
+      expect(await limiter.getUsage('pro:1')).toMatchObject({ windowStart: -20000 });
+
+      // Other limiters only see the override once their cached limits expire.
+      expect(await otherLimiter.wouldLimitWithInfo('free:1')).toMatchObject({
+        blocked: false,
+      });
+      await limiter.setLimitOverride('free:1', { maxInInterval: 0.5 });
+      expect(await otherLimiter.wouldLimitWithInfo('free:1')).toMatchObject({
+        blocked: false,
+      });
+      expect(await limiter.wouldLimitWithInfo('free:1')).toMatchObject({ blocked: true });
+
+      await limiter.clearLimitOverride('pro:1');
+      expect(await limiter.limitWithInfo('pro:1')).toMatchObject({ actionsRemaining: 1 });
+    });
+
+    it('rejects invalid limits, and allOrNothing across different limits', async () => {
+      const options = { interval: 10, maxInInterval: 1, limitOverrides: true };
+      const limiter = await createLimiter(options);
+
+      await expect(
+        limiter.setLimitOverride('pro:1', { maxInInterval: 0 }),
+      ).rejects.toThrow();
+      await limiter.setLimitOverride('pro:1', { maxInInterval: 3 });
+      await expect(
+        limiter.limitManyWithInfo(['free:1', 'pro:1'], { allOrNothing: true }),
+      ).rejects.toThrow('`allOrNothing` is only supported for IDs with the same limits');
+    });
+
+    it('keeps overrides out of listed ids, and through clearAll', async () => {
+      const options = { interval: 10, maxInInterval: 1, limitOverrides: true };
+      const limiter = await createLimiter(options);
+
+      setTime(0);
+      await limiter.setLimitOverride('pro:1', { maxInInterval: 3 });
+      await limiter.limit('pro:1');
+      expect(await limiter.listKeys()).toEqual({ ids: ['pro:1'], cursor: null });
+
+      expect(await limiter.clearAll()).toBe(1);
+      expect(await limiter.getLimitOverride('pro:1')).toEqual({ maxInInterval: 3 });
+      expect(await limiter.listKeys()).toEqual({ ids: [], cursor: null });
+    });
+  }
+
+  function sharedPenaltyBoxExamples(
+    _createLimiter: (options: RateLimiterOptions) => RateLimiter,
+  ) {
+    const id = 1;
+
+    async function createLimiter(options: RateLimiterOptions): Promise<RateLimiter> {
+      const limiter = _createLimiter(options);
+      await limiter.clear(id);
+      await limiter.unban(id);
+      return limiter;
+    }
+
+    it('bans ids after repeated violations, for longer on repeat offences', async () => {
+      const options = {
+        interval: 10,
+        maxInInterval: 1,
+        penaltyBox: {
+          maxViolations: 2,
+          window: 100,
+          banDuration: 50,
+          maxBanDuration: 150,
+        },
+      };
+      const limiter = await createLimiter(options);
+
+      setTime(0);
+      expect(await limiter.limitWithInfo(id)).toMatchObject({
+        blocked: false,
+        blockedDueToBan: false,
+        millisecondsUntilUnbanned: 0,
+      });
+      setTime(1);
+      expect(await limiter.limitWithInfo(id)).toMatchObject({
+        blocked: true,
+        blockedDueToBan: false,
+      });
+      setTime(2);
+      expect(await limiter.limitWithInfo(id)).toMatchObject({
+        blocked: true,
+        blockedDueToCount: true,
+        blockedDueToBan: true,
+        millisecondsUntilAllowed: 50,
+        millisecondsUntilUnbanned: 50,
+      });
+
+      // Actions during the ban are not violations, and do not make it longer.
+      setTime(20);
+      expect(await limiter.limitWithInfo(id)).toEqual({
+        blocked: true,
+        blockedDueToCount: false,
+        blockedDueToMinDifference: false,
+        blockedDueToBan: true,
+        millisecondsUntilAllowed: 32,
+        millisecondsUntilUnbanned: 32,
+        actionsRemaining: 0,
+        maxInInterval: 1,
+      });
+      setTime(52);
+      expect(await limiter.limit(id)).toBe(false);
+
+      setTime(53);
+      await limiter.limit(id);
+      setTime(54);
+      expect(await limiter.limitWithInfo(id)).toMatchObject({
+        millisecondsUntilUnbanned: 100,
+      });
+      setTime(154);
+      for (let i = 0; i < 3; i++) await limiter.limit(id);
+      expect(await limiter.wouldLimitWithInfo(id)).toMatchObject({
+        millisecondsUntilUnbanned: 150,
+      });
+    });
+
+    it('lifts bans and forgets previous ones with unban', async () => {
+      const options = {
+        interval: 10,
+        maxInInterval: 1,
+        penaltyBox: {
+          maxViolations: 1,
+          window: 100,
+          banDuration: 50,
+          maxBanDuration: 150,
+        },
+      };
+      const limiter = await createLimiter(options);
+
+      setTime(0);
+      await limiter.limit(id);
+      await limiter.limit(id);
+      expect(await limiter.wouldLimitWithInfo(id)).toMatchObject({
+        blockedDueToBan: true,
+      });
+
+      await limiter.unban(id);
+      expect(await limiter.wouldLimitWithInfo(id)).toMatchObject({
+        blocked: true,
+        blockedDueToCount: true,
+        blockedDueToBan: false,
+      });
+      expect(await limiter.limitWithInfo(id)).toMatchObject({
+        millisecondsUntilUnbanned: 50,
+      });
+    });
+
+    it('keeps bans out of listed ids, and through clear and clearAll', async () => {
+      const options = {
+        interval: 10,
+        maxInInterval: 1,
+        penaltyBox: { maxViolations: 1, window: 100, banDuration: 50 },
+      };
+      const limiter = await createLimiter(options);
+
+      setTime(0);
+      await limiter.limit(id);
+      await limiter.limit(id);
+      expect(await limiter.listKeys()).toEqual({ ids: [String(id)], cursor: null });
+
+      await limiter.clear(id);
+      expect(await limiter.listKeys()).toEqual({ ids: [], cursor: null });
+      expect(await limiter.clearAll()).toBe(0);
+      expect(await limiter.limitWithInfo(id)).toMatchObject({
+        blocked: true,
+        blockedDueToBan: true,
+        millisecondsUntilUnbanned: 50,
+      });
+    });
+  }
+
+  function sharedLeaseExamples(
+    _createLimiter: (options: RateLimiterOptions) => RateLimiter,
+  ) {
+    const id = 1;
+
+    async function createLimiter(options: RateLimiterOptions): Promise<RateLimiter> {
+      const limiter = _createLimiter(options);
+      await limiter.clear(id);
+      return limiter;
+    }
+
+    it('serves actions from a lease until it runs out', async () => {
+      const options = {
+        interval: 1000,
+        maxInInterval: 10,
+        lease: { size: 5, ttl: 1000 },
+      };
+      const limiter = await createLimiter(options);
+
+      setTime(0);
+      const infos = [];
+      for (let i = 0; i < 6; i++) infos.push(await limiter.limitWithInfo(id));
+      expect(infos.map((info) => info.actionsRemaining)).toEqual([9, 8, 7, 6, 5, 4]);
+      expect(infos.map((info) => Boolean(info.fromLease))).toEqual([
+        false,
+        true,
+        true,
+        true,
+        true,
+        false,
+      ]);
+      expect(limiter.getLeaseStats()).toEqual({ hits: 4, misses: 2, leases: 2 });
+    });
+
+    it('records single actions once an id has less than a lease left', async () => {
+      const options = { interval: 1000, maxInInterval: 7, lease: { size: 5, ttl: 1000 } };
+      const limiter = await createLimiter(options);
+
+      setTime(0);
+      const infos = [];
+      for (let i = 0; i < 8; i++) infos.push(await limiter.limitWithInfo(id));
+      expect(infos.map((info) => info.blocked)).toEqual([
+        false,
+        false,
+        false,
+        false,
+        false,
+        false,
+        false,
+        true,
+      ]);
+      expect(limiter.getLeaseStats()).toEqual({ hits: 4, misses: 4, leases: 1 });
+    });
+
+    it('takes out a new lease once the previous one expires', async () => {
+      const options = { interval: 1000, maxInInterval: 10, lease: { size: 5, ttl: 100 } };
+      const limiter = await createLimiter(options);
+
+      setTime(0);
+      await limiter.limit(id);
+      setTime(50);
+      expect(await limiter.limitWithInfo(id)).toMatchObject({
+        blocked: false,
+        fromLease: true,
+      });
+      setTime(100);
+      expect(await limiter.limitWithInfo(id)).toMatchObject({
+        blocked: false,
+        actionsRemaining: 4,
+      });
+      expect(limiter.getLeaseStats()).toEqual({ hits: 1, misses: 2, leases: 2 });
+    });
+
+    it('answers wouldLimit from the lease without using it up', async () => {
+      const options = {
+        interval: 1000,
+        maxInInterval: 10,
+        lease: { size: 5, ttl: 1000 },
+      };
+      const limiter = await createLimiter(options);
+
+      setTime(0);
+      await limiter.limit(id);
+      expect(await limiter.wouldLimitWithInfo(id, 4)).toMatchObject({
+        blocked: false,
+        actionsRemaining: 5,
+        fromLease: true,
+      });
+      expect(await limiter.wouldLimitWithInfo(id, 5)).not.toHaveProperty('fromLease');
+      expect(await limiter.limitWithInfo(id, 4)).toMatchObject({ actionsRemaining: 5 });
+    });
+
+    it('drops the lease when the id is cleared', async () => {
+      const options = {
+        interval: 1000,
+        maxInInterval: 10,
+        lease: { size: 5, ttl: 1000 },
+      };
+      const limiter = await createLimiter(options);
+
+      setTime(0);
+      await limiter.limit(id);
+      await limiter.clear(id);
+      expect(await limiter.limitWithInfo(id)).toMatchObject({ actionsRemaining: 9 });
+      expect(limiter.getLeaseStats()).toEqual({ hits: 0, misses: 2, leases: 2 });
+    });
+  }
+
+  function sharedRefundExamples(
+    _createLimiter: (options: RateLimiterOptions) => RateLimiter,
+  ) {
+    const id = 1;
+
+    async function createLimiter(options: RateLimiterOptions): Promise<RateLimiter> {
+      const limiter = _createLimiter(options);
+      await limiter.clearAll();
+      return limiter;
+    }
+
+    it('refunds exactly the action with the token', async () => {
+      const options = { interval: 10, maxInInterval: 2, countBlockedActions: false };
+      const limiter = await createLimiter(options);
+
+      setTime(0);
+      const { token } = await limiter.limitWithInfo(id);
+      setTime(1);
+      expect(await limiter.limitWithInfo(id)).toMatchObject({ actionsRemaining: 0 });
+      expect(await limiter.limitWithInfo(id)).not.toHaveProperty('token');
+
+      expect(await limiter.refund(id, token as string)).toBe(true);
+      expect(await limiter.refund(id, token as string)).toBe(false);
+      expect(await limiter.getUsage(id)).toMatchObject({
+        actions: [{ timestamp: 1000, weight: 1 }],
+      });
+    });
+
+    it('returns a token for each id from limitManyWithInfo', async () => {
+      const options = { interval: 10, maxInInterval: 1 };
+      const limiter = await createLimiter(options);
+
+      setTime(0);
+      const infos = await limiter.limitManyWithInfo([1, 2]);
+      expect(await limiter.refund(2, infos[1].token as string)).toBe(true);
+      expect(await limiter.wouldLimit(1)).toBe(true);
+      expect(await limiter.wouldLimit(2)).toBe(false);
+    });
+
+    it('only records actions once they are committed, with requireCommit', async () => {
+      const options = { interval: 10, maxInInterval: 2, requireCommit: true };
+      const limiter = await createLimiter(options);
+
+      setTime(0);
+      const info = await limiter.limitWithInfo(id, 2);
+      expect(info).toMatchObject({ blocked: false, token: expect.any(String) as string });
+      expect(await limiter.wouldLimit(id)).toBe(false);
+
+      setTime(1);
+      await limiter.commit(id, info.token as string);
+      expect(await limiter.getUsage(id)).toMatchObject({
+        actions: [{ timestamp: 1000, weight: 2 }],
+      });
+      // Committing the token again moves the action, rather than recording another.
+      setTime(2);
+      await limiter.commit(id, info.token as string);
+      expect(await limiter.getUsage(id)).toMatchObject({
+        actions: [{ timestamp: 2000, weight: 2 }],
+      });
+      expect(await limiter.limitWithInfo(id)).toMatchObject({ blocked: true });
+      expect(await limiter.refund(id, info.token as string)).toBe(true);
+      expect(await limiter.wouldLimit(id)).toBe(false);
+    });
+
+    it('rejects tokens that were not returned by limitWithInfo', async () => {
+      const options = { interval: 10, maxInInterval: 2, requireCommit: true };
+      const limiter = await createLimiter(options);
+      const { token } = await limiter.limitWithInfo(id);
+
+      for (const invalid of ['1', 'abc:1', `${String(token).split(':')[0]}:-1`]) {
+        await expect(limiter.commit(id, invalid)).rejects.toThrow('Invalid token');
+      }
+      expect(await limiter.getUsage(id)).toMatchObject({ actions: [] });
+    });
+  }
+
+  function sharedMigrationExamples(
+    _createLimiter: (options: RateLimiterOptions) => RateLimiter,
+  ) {
+    async function createLimiter(options: RateLimiterOptions): Promise<RateLimiter> {
+      const limiter = _createLimiter(options);
+      await limiter.clearAll();
+      return limiter;
+    }
+
+    it('copies actions from an in-memory limiter', async () => {
+      const options = { interval: 10, maxInInterval: 2 };
+      const source = new InMemoryRateLimiter(options);
+      const target = await createLimiter(options);
+
+      setTime(0);
+      await source.limit('user:1');
+      await source.limit('other:1');
+      setTime(1);
+      await source.limit('user:1');
+      await source.limit('user:2');
+      await source.limit('user:ban');
+
+      expect(await migrateState(source, target, { prefix: 'user:', count: 1 })).toBe(3);
+      expect(await target.getUsage('user:1')).toMatchObject({
+        actions: [
+          { timestamp: 0, weight: 1 },
+          { timestamp: 1000, weight: 1 },
+        ],
+      });
+      expect(await target.wouldLimit('user:1')).toBe(true);
+      expect(await target.wouldLimit('user:2')).toBe(false);
+      expect(await target.getUsage('user:ban')).toMatchObject({
+        actions: [{ timestamp: 1000, weight: 1 }],
+      });
+      expect(await target.getUsage('other:1')).toMatchObject({ actions: [] });
+      await source.dispose();
+    });
+
+    it('copies actions to an in-memory limiter', async () => {
+      const options = { interval: 10, maxInInterval: 1 };
+      const source = await createLimiter(options);
+      const target = new InMemoryRateLimiter(options);
+
+      setTime(0);
+      await source.limit(1, 0.5);
+      expect(await migrateState(source, target)).toBe(1);
+      expect(await target.getUsage(1)).toMatchObject({
+        actions: [{ timestamp: 0, weight: 0.5 }],
+      });
+      await target.dispose();
+    });
+  }
+
+  function sharedServerTimeExamples(
+    _createLimiter: (options: RateLimiterOptions) => RedisRateLimiter,
+  ) {
+    it('uses the time of the Redis server', async () => {
+      setTime(0);
+      const limiter = _createLimiter({ interval: 10000, maxInInterval: 1 });
+      await limiter.clear(1);
+
+      const serverTime = await limiter.store.getServerTime();
+      expect(Math.abs(serverTime - Date.now() * 1000)).toBeLessThan(60 * 1000 * 1000);
+      expect(await limiter.limit(1)).toBe(false);
+      expect(await limiter.limit(1)).toBe(true);
+
+      // Actions are stored at the server's time, but returned at the limiter's.
+      const [stored] = await new RedisStore({ client: limiter.client }).getActions(
+        limiter.makeKey(1),
+        {
+          now: serverTime,
+          clearBefore: 0 as Microseconds,
+          expireAfter: 10000000 as Microseconds,
+        },
+      );
+      expect(stored.timestamp).toBeGreaterThanOrEqual(serverTime);
+      const { actions } = await limiter.getUsage(1);
+      expect(actions[0].timestamp).toBeLessThanOrEqual(0);
+      expect(actions[0].timestamp).toBeGreaterThan(-1000000);
+    });
+
+    it('uses the time of the Redis server for the sliding window counter', async () => {
+      setTime(0);
+      const limiter = _createLimiter({
+        interval: 10000,
+        maxInInterval: 1,
+        algorithm: 'sliding-window-counter',
+      });
+      await limiter.clear(1);
+
+      expect(await limiter.limit(1)).toBe(false);
+      expect(await limiter.limitWithInfo(1)).toMatchObject({
+        blocked: true,
+        actionsRemaining: 0,
+      });
+    });
+  }
+
+  function sharedCounterExamples(
+    _createLimiter: (options: RateLimiterOptions) => RateLimiter,
+  ) {
+    const id = 1;
+
+    async function createLimiter(options: RateLimiterOptions): Promise<RateLimiter> {
+      const limiter = _createLimiter({ ...options, algorithm: 'sliding-window-counter' });
+      await limiter.clear(id);
+      return limiter;
+    }
+
+    it('estimates actions in the interval from the previous and current windows', async () => {
+      const options = { interval: 10, maxInInterval: 4, countBlockedActions: false };
+      const limiter = await createLimiter(options);
+
+      for (const time of [0, 1, 2, 3]) {
+        setTime(time);
+        expect(await limiter.limit(id)).toBe(false);
+      }
+
+      setTime(5);
+      expect(await limiter.limitWithInfo(id)).toEqual({
+        blocked: true,
+        blockedDueToCount: true,
+        blockedDueToMinDifference: false,
+        millisecondsUntilAllowed: 8, // at 12.5, 3 of the 4 actions will count
+        actionsRemaining: 0,
+        maxInInterval: 4,
+      });
+
+      // 80% of the previous window's 4 actions still count.
+      setTime(12);
+      expect(await limiter.wouldLimitWithInfo(id)).toEqual({
+        blocked: true,
+        blockedDueToCount: true,
+        blockedDueToMinDifference: false,
+        millisecondsUntilAllowed: 1,
+        actionsRemaining: 0,
+        maxInInterval: 4,
+      });
+
+      setTime(13);
+      expect(await limiter.limitWithInfo(id)).toEqual({
+        blocked: false,
+        blockedDueToCount: false,
+        blockedDueToMinDifference: false,
+        millisecondsUntilAllowed: 2, // at 15, 2 of the 4 previous actions will count
+        actionsRemaining: 0,
+        maxInInterval: 4,
+      });
+
+      // Only the single action from the previous window is left, and half of it counts.
+      setTime(25);
+      expect(await limiter.limitWithInfo(id)).toEqual({
+        blocked: false,
+        blockedDueToCount: false,
+        blockedDueToMinDifference: false,
+        millisecondsUntilAllowed: 0,
+        actionsRemaining: 2,
+        maxInInterval: 4,
+      });
+
+      setTime(40);
+      expect(await limiter.wouldLimitWithInfo(id)).toEqual({
+        blocked: false,
+        blockedDueToCount: false,
+        blockedDueToMinDifference: false,
+        millisecondsUntilAllowed: 0,
+        actionsRemaining: 3,
+        maxInInterval: 4,
+      });
+    });
+
+    it('counts blocked actions if countBlockedActions is set', async () => {
+      const options = { interval: 10, maxInInterval: 2 };
+      const limiter = await createLimiter(options);
+
+      setTime(0);
+      expect(await limiter.limit(id)).toBe(false);
+      setTime(1);
+      expect(await limiter.limit(id)).toBe(false);
+      setTime(2);
+      expect(await limiter.limit(id)).toBe(true);
+
+      // Without the blocked action, 1.6 + 1 would still be too many, but 1.4 + 1 would not.
+      setTime(13);
+      expect(await limiter.limit(id)).toBe(true);
+
+      setTime(25);
+      expect(await limiter.limit(id)).toBe(false);
+    });
+
+    it('supports weighted actions', async () => {
+      const options = { interval: 10, maxInInterval: 5 };
+      const limiter = await createLimiter(options);
+
+      setTime(0);
+      expect(await limiter.limitWithInfo(id, 3)).toMatchObject({
+        blocked: false,
+        actionsRemaining: 2,
+      });
+
+      setTime(1);
+      expect(await limiter.wouldLimit(id, 3)).toBe(true);
+      expect(await limiter.wouldLimit(id, 2)).toBe(false);
+    });
+
+    it('forgets both windows when cleared', async () => {
+      const options = { interval: 10, maxInInterval: 2 };
+      const limiter = await createLimiter(options);
+
+      setTime(8);
+      expect(await limiter.limit(id, 2)).toBe(false);
+      setTime(12);
+      expect(await limiter.limit(id)).toBe(true);
+
+      await limiter.clear(id);
+      expect(await limiter.limitWithInfo(id, 2)).toMatchObject({
+        blocked: false,
+        actionsRemaining: 0,
+      });
+    });
+  }
+
+  function sharedTokenBucketExamples(
+    _createLimiter: (options: TokenBucketRateLimiterOptions) => RateLimiter,
+  ) {
+    const id = 1;
+
+    async function createLimiter(
+      options: TokenBucketRateLimiterOptions,
+    ): Promise<RateLimiter> {
+      const limiter = _createLimiter(options);
+      await limiter.clear(id);
+      return limiter;
+    }
+
+    it('allows bursts up to capacity, then refills at a steady rate', async () => {
+      // One token every 10ms.
+      const options = { capacity: 3, refillRatePerSecond: 100 };
+      const limiter = await createLimiter(options);
+
+      setTime(0);
+      expect(await limiter.limitWithInfo(id)).toEqual({
+        blocked: false,
+        blockedDueToCount: false,
+        blockedDueToMinDifference: false,
+        millisecondsUntilAllowed: 0,
+        actionsRemaining: 2,
+        maxInInterval: 3,
+      });
+      expect(await limiter.limit(id)).toBe(false);
+      expect(await limiter.limitWithInfo(id)).toEqual({
+        blocked: false,
+        blockedDueToCount: false,
+        blockedDueToMinDifference: false,
+        millisecondsUntilAllowed: 10,
+        actionsRemaining: 0,
+        maxInInterval: 3,
+      });
+
+      // The bucket is empty, and blocked actions do not use up tokens.
+      expect(await limiter.limitWithInfo(id)).toEqual({
+        blocked: true,
+        blockedDueToCount: true,
+        blockedDueToMinDifference: false,
+        millisecondsUntilAllowed: 10,
+        actionsRemaining: 0,
+        maxInInterval: 3,
+      });
+
+      setTime(5);
+      expect(await limiter.wouldLimitWithInfo(id)).toEqual({
+        blocked: true,
+        blockedDueToCount: true,
+        blockedDueToMinDifference: false,
+        millisecondsUntilAllowed: 5,
+        actionsRemaining: 0,
+        maxInInterval: 3,
+      });
+
+      setTime(10);
+      expect(await limiter.limit(id)).toBe(false);
+      expect(await limiter.limit(id)).toBe(true);
+
+      // Long after the bucket refilled, a full burst is allowed again.
+      setTime(100);
+      expect(await limiter.wouldLimitWithInfo(id)).toEqual({
+        blocked: false,
+        blockedDueToCount: false,
+        blockedDueToMinDifference: false,
+        millisecondsUntilAllowed: 0,
+        actionsRemaining: 2,
+        maxInInterval: 3,
+      });
+    });
+
+    it('supports weighted actions', async () => {
+      // One token every 1ms.
+      const options = { capacity: 5, refillRatePerSecond: 1000 };
+      const limiter = await createLimiter(options);
+
+      setTime(0);
+      expect(await limiter.limitWithInfo(id, 4)).toMatchObject({
+        blocked: false,
+        actionsRemaining: 1,
+      });
+      expect(await limiter.wouldLimit(id, 2)).toBe(true);
+
+      setTime(1);
+      expect(await limiter.wouldLimit(id, 2)).toBe(false);
+    });
+  }
+
+  function sharedMultiTierExamples(
+    _createLimiter: (options: MultiTierRateLimiterOptions) => RateLimiter,
+  ) {
+    const id = 1;
+
+    async function createLimiter(
+      options: MultiTierRateLimiterOptions,
+    ): Promise<RateLimiter> {
+      const limiter = _createLimiter(options);
+      await limiter.clear(id);
+      return limiter;
+    }
+
+    it('enforces every tier, and only records actions allowed by all of them', async () => {
+      const options = {
+        tiers: [
+          { interval: 10, maxInInterval: 2 },
+          { interval: 100, maxInInterval: 3 },
+        ],
+      };
+      const limiter = await createLimiter(options);
+
+      setTime(0);
+      expect(await limiter.limitWithInfo(id)).toEqual({
+        blocked: false,
+        blockedDueToCount: false,
+        blockedDueToMinDifference: false,
+        millisecondsUntilAllowed: 0,
+        actionsRemaining: 1,
+        maxInInterval: 2,
+        blockedByTier: null,
+        token: expect.any(String) as string,
+      });
+
+      setTime(1);
+      expect(await limiter.limit(id)).toBe(false);
+
+      // Blocked by the short tier. The long tier decides how long to wait.
+      setTime(2);
+      expect(await limiter.limitWithInfo(id)).toEqual({
+        blocked: true,
+        blockedDueToCount: true,
+        blockedDueToMinDifference: false,
+        millisecondsUntilAllowed: 98, // at 100, the first action will clear the long tier
+        actionsRemaining: 0,
+        maxInInterval: 2,
+        blockedByTier: 0,
+      });
+
+      // The blocked action was not recorded, so the long tier still has room for one.
+      setTime(10);
+      expect(await limiter.limit(id)).toBe(false);
+
+      // The short tier is empty, but the long tier is full.
+      setTime(21);
+      expect(await limiter.wouldLimitWithInfo(id)).toMatchObject({
+        blocked: true,
+        blockedByTier: 1,
+      });
+      expect(await limiter.limit(id)).toBe(true);
+
+      setTime(100);
+      expect(await limiter.limit(id)).toBe(false);
+    });
+  }
+
+  describe('InMemoryRateLimiter', () => {
+    sharedExamples((opts) => new InMemoryRateLimiter(opts));
+  });
+
+  describe('InMemoryRateLimiter (admin)', () => {
+    sharedAdminExamples((opts) => new InMemoryRateLimiter(opts));
+  });
+
+  describe('InMemoryRateLimiter (admin, hash-tagged keys)', () => {
+    it('wraps the id or the namespace in a hash tag', () => {
+      const options = { interval: 10, maxInInterval: 2, namespace: 'limiter:' };
+      expect(new RateLimiter({ ...options, hashTag: 'id' }).makeKey('user:1')).toBe(
+        'limiter:{user:1}',
+      );
+      expect(
+        new RateLimiter({ ...options, hashTag: 'namespace' }).makeKey('user:1'),
+      ).toBe('{limiter:}user:1');
+    });
+
+    sharedAdminExamples((opts) => new InMemoryRateLimiter({ hashTag: 'id', ...opts }));
+  });
+
+  describe('RateLimiter (`InMemoryStore`, per-ID limits)', () => {
+    let store: InMemoryStore;
+    beforeEach(() => {
+      store = new InMemoryStore();
+    });
+
+    sharedPerIdLimitsExamples((opts) => new RateLimiter({ store, ...opts }));
+  });
+
+  describe('InMemoryRateLimiter (penalty box)', () => {
+    sharedPenaltyBoxExamples((opts) => new InMemoryRateLimiter(opts));
+
+    it('keeps bans when other ids are evicted beyond `maxKeys`', async () => {
+      const limiter = new InMemoryRateLimiter({
+        interval: 10,
+        maxInInterval: 1,
+        maxKeys: 3,
+        penaltyBox: { maxViolations: 1, window: 100, banDuration: 60000 },
+      });
+
+      setTime(0);
+      await limiter.limit('banned');
+      await limiter.limit('banned');
+      for (let i = 0; i < 4; i++) await limiter.limit(`other:${i}`);
+
+      expect(await limiter.listKeys()).toEqual({
+        ids: ['other:1', 'other:2', 'other:3'],
+        cursor: null,
+      });
+      expect(await limiter.wouldLimitWithInfo('banned')).toMatchObject({
+        blocked: true,
+        blockedDueToBan: true,
+        millisecondsUntilUnbanned: 60000,
+      });
+    });
+  });
+
+  describe('InMemoryRateLimiter (leases)', () => {
+    sharedLeaseExamples((opts) => new InMemoryRateLimiter(opts));
+  });
+
+  describe('InMemoryRateLimiter (refunds)', () => {
+    sharedRefundExamples((opts) => new InMemoryRateLimiter(opts));
+  });
+
+  describe('InMemoryRateLimiter (migration)', () => {
+    sharedMigrationExamples((opts) => new InMemoryRateLimiter(opts));
+  });
+
+  describe('InMemoryRateLimiter (many ids)', () => {
+    sharedManyExamples((opts) => new InMemoryRateLimiter(opts));
+  });
+
+  describe('InMemoryRateLimiter (sliding window counter)', () => {
+    sharedCounterExamples((opts) => new InMemoryRateLimiter(opts));
+  });
+
+  describe('RateLimiter (`FileStore`)', () => {
+    let directory: string;
+    beforeAll(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'rolling-rate-limiter-'));
+    });
+    afterAll(() => fs.rmdir(directory, { recursive: true }));
+
+    sharedExamples(
+      (opts) =>
+        new RateLimiter({
+          store: new FileStore({ path: path.join(directory, 'state.json') }),
+          ...opts,
+        }),
+    );
+  });
+
+  describe('RateLimiter (`SqlStore` with SQLite)', () => {
+    let SQL: SqlJsStatic;
+    beforeAll(async () => {
+      SQL = await initSqlJs();
+    });
+
+    let store: SqlStore;
+    beforeEach(async () => {
+      const db = new SQL.Database();
+      const client: SqlClient = {
+        async query(sql, params) {
+          const statement = db.prepare(sql, params);
+          const rows = [];
+          while (statement.step()) rows.push(statement.getAsObject());
+          statement.free();
+          return rows;
+        },
+      };
+      store = new SqlStore({ client });
+      await store.createTable();
+    });
+
+    sharedExamples((opts) => new RateLimiter({ store, ...opts }));
+  });
+
+  describe('RedisRateLimiter (`redis` client)', () => {
+    let client: redis.RedisClient;
+    beforeEach(() => {
+      client = redis.createClient();
+    });
+    afterEach((cb) => client.quit(cb));
+
+    sharedExamples(
+      (opts) =>
+        new RedisRateLimiter({
+          client,
+          namespace: 'rolling-rate-limiter-redis',
+          ...opts,
+        }),
+    );
+  });
+
+  describe('RedisRateLimiter (`redis` client, `return_buffers` enabled)', () => {
+    let client: redis.RedisClient;
+    beforeEach(() => {
+      client = redis.createClient({ return_buffers: true });
+    });
+    afterEach((cb) => client.quit(cb));
+
+    sharedExamples(
+      (opts) =>
+        new RedisRateLimiter({
+          client,
+          namespace: 'rolling-rate-limiter-redis',
+          ...opts,
+        }),
+    );
+  });
+
+  describe('RedisRateLimiter (`ioredis` client)', () => {
+    let client: IORedis.Redis;
+    beforeEach(() => {
+      client = new IORedis();
+    });
+    afterEach((cb) => client.quit(cb));
+
+    sharedExamples(
+      (opts) =>
+        new RedisRateLimiter({
+          client,
+          namespace: 'rolling-rate-limiter-ioredis',
+          ...opts,
+        }),
+    );
+  });
+
+  describe('RedisRateLimiter (`redis` client, admin)', () => {
+    let client: redis.RedisClient;
+    beforeEach(() => {
+      client = redis.createClient();
+    });
+    afterEach((cb) => client.quit(cb));
+
+    sharedAdminExamples(
+      (opts) =>
+        new RedisRateLimiter({
+          client,
+          namespace: 'rolling-rate-limiter-redis-admin:',
+          ...opts,
+        }),
+    );
+  });
+
+  describe('RedisRateLimiter (`ioredis` client, admin)', () => {
+    let client: IORedis.Redis;
+    beforeEach(() => {
+      client = new IORedis();
+    });
+    afterEach((cb) => client.quit(cb));
+
+    sharedAdminExamples(
+      (opts) =>
+        new RedisRateLimiter({
+          client,
+          namespace: 'rolling-rate-limiter-ioredis-admin:',
+          ...opts,
+        }),
+    );
+  });
+
+  describe('RedisRateLimiter (`ioredis` client, admin, hash-tagged keys)', () => {
+    let client: IORedis.Redis;
+    beforeEach(() => {
+      client = new IORedis();
+    });
+    afterEach((cb) => client.quit(cb));
+
+    sharedAdminExamples(
+      (opts) =>
+        new RedisRateLimiter({
+          client,
+          namespace: 'rolling-rate-limiter-ioredis-hash-tag:',
+          hashTag: 'id',
+          ...opts,
+        }),
+    );
+  });
+
+  describe('RedisRateLimiter (`redis` client, per-ID limits)', () => {
+    let client: redis.RedisClient;
+    beforeEach(() => {
+      client = redis.createClient();
+    });
+    afterEach((cb) => client.quit(cb));
+
+    sharedPerIdLimitsExamples(
+      (opts) =>
+        new RedisRateLimiter({
+          client,
+          namespace: 'rolling-rate-limiter-redis-limits:',
+          ...opts,
+        }),
+    );
+  });
+
+  describe('RedisRateLimiter (`ioredis` client, per-ID limits)', () => {
+    let client: IORedis.Redis;
+    beforeEach(() => {
+      client = new IORedis();
+    });
+    afterEach((cb) => client.quit(cb));
+
+    sharedPerIdLimitsExamples(
+      (opts) =>
+        new RedisRateLimiter({
+          client,
+          namespace: 'rolling-rate-limiter-ioredis-limits:',
+          ...opts,
+        }),
+    );
+  });
+
+  describe('RedisRateLimiter (`redis` client, penalty box)', () => {
+    let client: redis.RedisClient;
+    beforeEach(() => {
+      client = redis.createClient();
+    });
+    afterEach((cb) => client.quit(cb));
+
+    sharedPenaltyBoxExamples(
+      (opts) =>
+        new RedisRateLimiter({
+          client,
+          namespace: 'rolling-rate-limiter-redis-penalty:',
+          ...opts,
+        }),
+    );
+  });
+
+  describe('RedisRateLimiter (`ioredis` client, penalty box)', () => {
+    let client: IORedis.Redis;
+    beforeEach(() => {
+      client = new IORedis();
+    });
+    afterEach((cb) => client.quit(cb));
+
+    sharedPenaltyBoxExamples(
+      (opts) =>
+        new RedisRateLimiter({
+          client,
+          namespace: 'rolling-rate-limiter-ioredis-penalty:',
+          ...opts,
+        }),
+    );
+  });
+
+  describe('RedisRateLimiter (`redis` client, leases)', () => {
+    let client: redis.RedisClient;
+    beforeEach(() => {
+      client = redis.createClient();
+    });
+    afterEach((cb) => client.quit(cb));
+
+    sharedLeaseExamples(
+      (opts) =>
+        new RedisRateLimiter({
+          client,
+          namespace: 'rolling-rate-limiter-redis-lease:',
+          ...opts,
+        }),
+    );
+  });
+
+  describe('RedisRateLimiter (`ioredis` client, leases)', () => {
+    let client: IORedis.Redis;
+    beforeEach(() => {
+      client = new IORedis();
+    });
+    afterEach((cb) => client.quit(cb));
+
+    sharedLeaseExamples(
+      (opts) =>
+        new RedisRateLimiter({
+          client,
+          namespace: 'rolling-rate-limiter-ioredis-lease:',
+          ...opts,
+        }),
+    );
+  });
+
+  describe('RedisRateLimiter (`redis` client, refunds)', () => {
+    let client: redis.RedisClient;
+    beforeEach(() => {
+      client = redis.createClient();
+    });
+    afterEach((cb) => client.quit(cb));
+
+    sharedRefundExamples(
+      (opts) =>
+        new RedisRateLimiter({
+          client,
+          namespace: 'rolling-rate-limiter-redis-refund:',
+          ...opts,
+        }),
+    );
+  });
+
+  describe('RedisRateLimiter (`ioredis` client, refunds)', () => {
+    let client: IORedis.Redis;
+    beforeEach(() => {
+      client = new IORedis();
+    });
+    afterEach((cb) => client.quit(cb));
+
+    sharedRefundExamples(
+      (opts) =>
+        new RedisRateLimiter({
+          client,
+          namespace: 'rolling-rate-limiter-ioredis-refund:',
+          ...opts,
+        }),
+    );
+  });
+
+  describe('RedisRateLimiter (`redis` client, migration)', () => {
+    let client: redis.RedisClient;
+    beforeEach(() => {
+      client = redis.createClient();
+    });
+    afterEach((cb) => client.quit(cb));
+
+    sharedMigrationExamples(
+      (opts) =>
+        new RedisRateLimiter({
+          client,
+          namespace: 'rolling-rate-limiter-redis-migration:',
+          ...opts,
+        }),
+    );
+  });
+
+  describe('RedisRateLimiter (`ioredis` client, migration)', () => {
+    let client: IORedis.Redis;
+    beforeEach(() => {
+      client = new IORedis();
+    });
+    afterEach((cb) => client.quit(cb));
+
+    sharedMigrationExamples(
+      (opts) =>
+        new RedisRateLimiter({
+          client,
+          namespace: 'rolling-rate-limiter-ioredis-migration:',
+          ...opts,
+        }),
+    );
+  });
+
+  describe('RedisRateLimiter (`redis` client, server time)', () => {
+    let client: redis.RedisClient;
+    beforeEach(() => {
+      client = redis.createClient();
+    });
+    afterEach((cb) => client.quit(cb));
+
+    sharedServerTimeExamples(
+      (opts) =>
+        new RedisRateLimiter({
+          client,
+          namespace: 'rolling-rate-limiter-redis-time:',
+          serverTime: true,
+          ...opts,
+        }),
+    );
+  });
+
+  describe('RedisRateLimiter (`ioredis` client, server time)', () => {
+    let client: IORedis.Redis;
+    beforeEach(() => {
+      client = new IORedis();
+    });
+    afterEach((cb) => client.quit(cb));
+
+    sharedServerTimeExamples(
+      (opts) =>
+        new RedisRateLimiter({
+          client,
+          namespace: 'rolling-rate-limiter-ioredis-time:',
+          serverTime: true,
+          ...opts,
+        }),
+    );
+  });
+
+  describe('RedisRateLimiter (`redis` client, many ids)', () => {
+    let client: redis.RedisClient;
+    beforeEach(() => {
+      client = redis.createClient();
+    });
+    afterEach((cb) => client.quit(cb));
+
+    sharedManyExamples(
+      (opts) =>
+        new RedisRateLimiter({
+          client,
+          namespace: 'rolling-rate-limiter-redis-many',
+          ...opts,
+        }),
+    );
+  });
+
+  describe('RedisRateLimiter (`ioredis` client, many ids)', () => {
+    let client: IORedis.Redis;
+    beforeEach(() => {
+      client = new IORedis();
+    });
+    afterEach((cb) => client.quit(cb));
+
+    sharedManyExamples(
+      (opts) =>
+        new RedisRateLimiter({
+          client,
+          namespace: 'rolling-rate-limiter-ioredis-many',
+          ...opts,
+        }),
+    );
+  });
+
+  describe('RedisRateLimiter (`redis` client, sliding window counter)', () => {
+    let client: redis.RedisClient;
+    beforeEach(() => {
+      client = redis.createClient();
+    });
+    afterEach((cb) => client.quit(cb));
+
+    sharedCounterExamples(
+      (opts) =>
+        new RedisRateLimiter({
+          client,
+          namespace: 'rolling-rate-limiter-redis-counter',
+          ...opts,
+        }),
+    );
+  });
+
+  describe('RedisRateLimiter (`ioredis` client, sliding window counter)', () => {
+    let client: IORedis.Redis;
+    beforeEach(() => {
+      client = new IORedis();
+    });
+    afterEach((cb) => client.quit(cb));
+
+    sharedCounterExamples(
+      (opts) =>
+        new RedisRateLimiter({
+          client,
+          namespace: 'rolling-rate-limiter-ioredis-counter',
+          ...opts,
+        }),
+    );
+  });
+
+  describe('InMemoryTokenBucketRateLimiter', () => {
+    sharedTokenBucketExamples((opts) => new InMemoryTokenBucketRateLimiter(opts));
+  });
+
+  describe('RedisTokenBucketRateLimiter (`redis` client)', () => {
+    let client: redis.RedisClient;
+    beforeEach(() => {
+      client = redis.createClient();
+    });
+    afterEach((cb) => client.quit(cb));
+
+    sharedTokenBucketExamples(
+      (opts) =>
+        new RedisTokenBucketRateLimiter({
+          client,
+          namespace: 'rolling-rate-limiter-redis-token-bucket',
+          ...opts,
+        }),
+    );
+  });
+
+  describe('RedisTokenBucketRateLimiter (`ioredis` client)', () => {
+    let client: IORedis.Redis;
+    beforeEach(() => {
+      client = new IORedis();
+    });
+    afterEach((cb) => client.quit(cb));
+
+    sharedTokenBucketExamples(
+      (opts) =>
+        new RedisTokenBucketRateLimiter({
+          client,
+          namespace: 'rolling-rate-limiter-ioredis-token-bucket',
+          ...opts,
+        }),
+    );
+  });
+
+  describe('InMemoryMultiTierRateLimiter', () => {
+    sharedMultiTierExamples((opts) => new InMemoryMultiTierRateLimiter(opts));
+  });
+
+  describe('RedisMultiTierRateLimiter (`redis` client)', () => {
+    let client: redis.RedisClient;
+    beforeEach(() => {
+      client = redis.createClient();
+    });
+    afterEach((cb) => client.quit(cb));
+
+    sharedMultiTierExamples(
+      (opts) =>
+        new RedisMultiTierRateLimiter({
+          client,
+          namespace: 'rolling-rate-limiter-redis-multi-tier',
+          ...opts,
+        }),
+    );
+  });
+
+  describe('RedisMultiTierRateLimiter (`ioredis` client)', () => {
+    let client: IORedis.Redis;
+    beforeEach(() => {
+      client = new IORedis();
+    });
+    afterEach((cb) => client.quit(cb));
+
+    sharedMultiTierExamples(
+      (opts) =>
+        new RedisMultiTierRateLimiter({
+          client,
+          namespace: 'rolling-rate-limiter-ioredis-multi-tier',
+          ...opts,
+        }),
+    );
+  });
+});
+
+describe('store errors', () => {
+  const options = { interval: 10000, maxInInterval: 2 };
+  const error = new Error('Store is down');
+
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.runAllTimers());
+
+  let getActions: jest.Mock;
+  let store: RateLimitStore;
+  beforeEach(() => {
+    getActions = jest.fn(() => Promise.reject(error));
+    store = { getActions, clear: () => Promise.resolve() };
+  });
+
+  let currentTime = 0;
+  function setTime(timeInMilliseconds: number) {
+    jest
+      .spyOn(microtime, 'now')
+      .mockImplementation(() =>
+        millisecondsToMicroseconds(timeInMilliseconds as Milliseconds),
+      );
+    currentTime = timeInMilliseconds;
+  }
+  beforeEach(() => setTime(0));
+
+  it('rejects by default', async () => {
+    const limiter = new RateLimiter({ store, ...options });
+    await expect(limiter.limit(1)).rejects.toBe(error);
+    await expect(limiter.wouldLimit(1)).rejects.toBe(error);
+  });
+
+  it('allows actions if onStoreError is `allow`', async () => {
+    const limiter = new RateLimiter({ store, onStoreError: 'allow', ...options });
+    expect(await limiter.limitWithInfo(1)).toEqual({
+      blocked: false,
+      blockedDueToCount: false,
+      blockedDueToMinDifference: false,
+      millisecondsUntilAllowed: 0,
+      actionsRemaining: 1,
+      maxInInterval: 2,
+      fromFallback: true,
+    });
+  });
+
+  it('blocks actions if onStoreError is `block`', async () => {
+    const limiter = new RateLimiter({ store, onStoreError: 'block', ...options });
+    expect(await limiter.limitWithInfo(1)).toEqual({
+      blocked: true,
+      blockedDueToCount: false,
+      blockedDueToMinDifference: false,
+      millisecondsUntilAllowed: 0,
+      actionsRemaining: 0,
+      maxInInterval: 2,
+      fromFallback: true,
+    });
+    expect(await limiter.wouldLimit(1)).toBe(true);
+  });
+
+  it('uses a fallback rate limiter', async () => {
+    const fallback = new InMemoryRateLimiter(options);
+    const limiter = new RateLimiter({ store, onStoreError: fallback, ...options });
+
+    expect(await limiter.limitWithInfo(1)).toMatchObject({
+      blocked: false,
+      fromFallback: true,
+    });
+    expect(await limiter.limit(1)).toBe(false);
+    expect(await limiter.limitWithInfo(1)).toMatchObject({
+      blocked: true,
+      fromFallback: true,
+    });
+    expect(await limiter.wouldLimit(2)).toBe(false);
+  });
+
+  it('handles errors for many ids at once', async () => {
+    const limiter = new RateLimiter({ store, onStoreError: 'allow', ...options });
+    expect(await limiter.limitManyWithInfo([1, 2])).toEqual([
+      expect.objectContaining({ blocked: false, fromFallback: true }),
+      expect.objectContaining({ blocked: false, fromFallback: true }),
+    ]);
+
+    const fallback = new InMemoryRateLimiter(options);
+    const otherLimiter = new RateLimiter({ store, onStoreError: fallback, ...options });
+    await otherLimiter.limit(1);
+    await otherLimiter.limit(1);
+    const infos = await otherLimiter.wouldLimitManyWithInfo([1, 2]);
+    expect(infos.map((info) => [info.blocked, info.fromFallback])).toEqual([
+      [true, true],
+      [false, true],
+    ]);
+    await fallback.dispose();
+  });
+
+  it('emits storeError, then the decision made by onStoreError', async () => {
+    const limiter = new RateLimiter({
+      store,
+      onStoreError: 'block',
+      name: 'api',
+      ...options,
+    });
+    const onStoreError = jest.fn();
+    const onBlocked = jest.fn();
+    limiter.on('storeError', onStoreError);
+    limiter.on('blocked', onBlocked);
+
+    await limiter.limit(1);
+    expect(onStoreError).toHaveBeenCalledWith({
+      limiter: 'api',
+      ids: [1],
+      error,
+      storeDuration: 0,
+    });
+    expect(onBlocked).toHaveBeenCalledWith(
+      expect.objectContaining({
+        id: 1,
+        info: expect.objectContaining({ fromFallback: true }) as RateLimitInfo,
+      }),
+    );
+  });
+
+  it('does not use the fallback if the store works', async () => {
+    const limiter = new InMemoryRateLimiter({ onStoreError: 'block', ...options });
+    expect(await limiter.limitWithInfo(1)).not.toHaveProperty('fromFallback');
+    await limiter.clear(1);
+  });
+
+  it('times out slow stores', async () => {
+    getActions.mockImplementation(() => new Promise(() => undefined));
+    const limiter = new RateLimiter({
+      store,
+      storeTimeout: 100,
+      onStoreError: 'allow',
+      ...options,
+    });
+
+    const promise = limiter.limitWithInfo(1);
+    jest.advanceTimersByTime(100);
+    expect(await promise).toMatchObject({ blocked: false, fromFallback: true });
+  });
+
+  it('stops calling the store while the circuit breaker is open', async () => {
+    const limiter = new RateLimiter({
+      store,
+      onStoreError: 'block',
+      circuitBreaker: { failureThreshold: 2, cooldown: 1000 },
+      ...options,
+    });
+
+    // Two failures open the circuit.
+    await limiter.limit(1);
+    await limiter.limit(1);
+    expect(getActions).toHaveBeenCalledTimes(2);
+
+    setTime(currentTime + 999);
+    expect(await limiter.limit(1)).toBe(true);
+    expect(getActions).toHaveBeenCalledTimes(2);
+
+    // After the cooldown, the store is tried again, and a failure reopens the circuit.
+    setTime(currentTime + 1);
+    await limiter.limit(1);
+    await limiter.limit(1);
+    expect(getActions).toHaveBeenCalledTimes(3);
+
+    // A success closes it.
+    setTime(currentTime + 1000);
+    getActions.mockImplementation(() => Promise.resolve([]));
+    expect(await limiter.limitWithInfo(1)).toEqual({
+      blocked: false,
+      blockedDueToCount: false,
+      blockedDueToMinDifference: false,
+      millisecondsUntilAllowed: 0,
+      actionsRemaining: 1,
+      maxInInterval: 2,
+      token: expect.any(String) as string,
+    });
+    getActions.mockImplementation(() => Promise.reject(error));
+    await limiter.limit(1);
+    await limiter.limit(1);
+    expect(getActions).toHaveBeenCalledTimes(6);
+  });
+});
+
+describe('clock', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.runAllTimers());
+
+  it('uses the time returned by `clock`, which may be async', async () => {
+    let now = 5000000;
+    const limiter = new InMemoryRateLimiter({
+      interval: 10000,
+      maxInInterval: 1,
+      countBlockedActions: false,
+      clock: async () => now,
+    });
+
+    expect(await limiter.limit(1)).toBe(false);
+    expect(await limiter.getUsage(1)).toEqual({
+      actions: [{ timestamp: 5000000, weight: 1 }],
+      windowStart: -5000000,
+      nextAllowedAt: 15000000,
+    });
+    now += 9999000;
+    expect(await limiter.limit(1)).toBe(true);
+    now += 1000;
+    expect(await limiter.limit(1)).toBe(false);
+    await limiter.dispose();
+  });
+
+  it('handles clock errors like store errors', async () => {
+    const limiter = new InMemoryRateLimiter({
+      interval: 10000,
+      maxInInterval: 1,
+      clock: () => Promise.reject(new Error('Clock is down')),
+      onStoreError: 'block',
+    });
+    expect(await limiter.limitWithInfo(1)).toMatchObject({
+      blocked: true,
+      fromFallback: true,
+    });
+  });
+});
+
+describe('events', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.runAllTimers());
+
+  beforeEach(() => {
+    jest
+      .spyOn(microtime, 'now')
+      .mockImplementation(() => millisecondsToMicroseconds(1000 as Milliseconds));
+  });
+
+  it('emits allowed and blocked for attempted actions only', async () => {
+    const limiter = new InMemoryRateLimiter({ interval: 10000, maxInInterval: 1 });
+    const onAllowed = jest.fn<void, [RateLimitDecisionEvent]>();
+    const onBlocked = jest.fn<void, [RateLimitDecisionEvent]>();
+    limiter.on('allowed', onAllowed);
+    limiter.on('blocked', onBlocked);
+
+    await limiter.limit(1);
+    await limiter.wouldLimit(1);
+    await limiter.limitManyWithInfo([1, 2], { weight: 0.5 });
+
+    expect(onAllowed.mock.calls.map(([event]) => [event.id, event.weight])).toEqual([
+      [1, 1],
+      [2, 0.5],
+    ]);
+    expect(onBlocked).toHaveBeenCalledTimes(1);
+    expect(onBlocked).toHaveBeenCalledWith({
+      limiter: 'default',
+      id: 1,
+      weight: 0.5,
+      info: expect.objectContaining({
+        blocked: true,
+        blockedDueToCount: true,
+      }) as RateLimitInfo,
+      storeDuration: 0,
+    });
+    await limiter.dispose();
+  });
+
+  it('emits cleared', async () => {
+    const limiter = new InMemoryRateLimiter({
+      interval: 10000,
+      maxInInterval: 1,
+      namespace: 'users:',
+    });
+    const onCleared = jest.fn<void, [RateLimitClearedEvent]>();
+    limiter.on('cleared', onCleared);
+
+    await limiter.limit(1);
+    await limiter.clear(1);
+    await limiter.limit(2);
+    await limiter.clearAll();
+
+    expect(onCleared.mock.calls).toEqual([
+      [{ limiter: 'users:', id: 1 }],
+      [{ limiter: 'users:', pattern: '*', count: 1 }],
+    ]);
+  });
+});
+
+describe('snapshots', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.runAllTimers());
+
+  let now = 0;
+  const clock = () => now;
+  const options = { interval: 10000, maxInInterval: 1, clock };
+  beforeEach(() => {
+    now = 1000000;
+  });
+
+  let directory: string;
+  let snapshotPath: string;
+  let snapshots = 0;
+  beforeAll(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'rolling-rate-limiter-'));
+  });
+  beforeEach(() => {
+    snapshotPath = path.join(directory, `snapshot-${++snapshots}.json`);
+  });
+  afterAll(() => fs.rmdir(directory, { recursive: true }));
+
+  it('exports and imports state as JSON, skipping ids that have expired', async () => {
+    const limiter = new InMemoryRateLimiter(options);
+    await limiter.limit(1);
+    now += 5000000;
+    jest.advanceTimersByTime(5000);
+    await limiter.limit(2);
+    const state = JSON.parse(
+      JSON.stringify(await limiter.exportState()),
+    ) as InMemoryStoreState;
+    await limiter.dispose();
+
+    now += 7000000;
+    const restored = new InMemoryRateLimiter(options);
+    expect(await restored.importState(state)).toBe(1);
+    expect(await restored.wouldLimit(1)).toBe(false);
+    expect(await restored.wouldLimit(2)).toBe(true);
+    await restored.dispose();
+  });
+
+  it('saves a snapshot when disposed, and loads it after a restart', async () => {
+    const limiter = new InMemoryRateLimiter({ ...options, snapshotPath });
+    await limiter.limit(1);
+    await limiter.dispose();
+
+    const restarted = new InMemoryRateLimiter({ ...options, snapshotPath });
+    expect(await restarted.loadSnapshot()).toBe(1);
+    expect(await restarted.limit(1)).toBe(true);
+    await restarted.dispose();
+  });
+
+  it('loads nothing if there is no snapshot yet', async () => {
+    const limiter = new InMemoryRateLimiter({ ...options, snapshotPath });
+    expect(await limiter.loadSnapshot()).toBe(0);
+    await limiter.dispose();
+  });
+
+  it('saves a snapshot every snapshotInterval', async () => {
+    const limiter = new InMemoryRateLimiter({
+      ...options,
+      snapshotPath,
+      snapshotInterval: 1000,
+    });
+    const saveSnapshot = jest.spyOn(limiter, 'saveSnapshot').mockResolvedValue();
+
+    jest.advanceTimersByTime(2500);
+    expect(saveSnapshot).toHaveBeenCalledTimes(2);
+    await limiter.dispose();
+    expect(saveSnapshot).toHaveBeenCalledTimes(3);
+  });
+
+  it('emits snapshotError when a periodic snapshot fails', async () => {
+    const limiter = new InMemoryRateLimiter({
+      ...options,
+      snapshotPath,
+      snapshotInterval: 1000,
+    });
+    const error = new Error('Disk is full');
+    const saveSnapshot = jest.spyOn(limiter, 'saveSnapshot').mockRejectedValue(error);
+    const onSnapshotError = jest.fn();
+    limiter.on('snapshotError', onSnapshotError);
+
+    jest.advanceTimersByTime(1000);
+    await Promise.resolve();
+    expect(onSnapshotError).toHaveBeenCalledWith({
+      limiter: 'default',
+      path: snapshotPath,
+      error,
+    });
+    saveSnapshot.mockRestore();
+    await limiter.dispose();
+  });
+
+  it('rejects state with an unknown version', async () => {
+    const limiter = new InMemoryRateLimiter(options);
+    const state = { ...(await limiter.exportState()), version: 2 as 1 };
+    await expect(limiter.importState(state)).rejects.toThrow(
+      'Unsupported rate limiter state version: 2',
+    );
+    await limiter.dispose();
+  });
+});
+
+describe('acquire', () => {
+  const id = 1;
+
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.runAllTimers());
+
+  let currentTime = 0;
+  function setTime(timeInMilliseconds: number) {
+    jest
+      .spyOn(microtime, 'now')
+      .mockImplementation(() =>
+        millisecondsToMicroseconds(timeInMilliseconds as Milliseconds),
+      );
+    currentTime = timeInMilliseconds;
+  }
+  beforeEach(() => setTime(0));
+
+  // Timers are faked, so the real `setImmediate` is used to wait until promises have settled.
+  const { setImmediate: realSetImmediate } =
+    jest.requireActual<typeof import('timers')>('timers');
+  async function flushPromises() {
+    await new Promise((resolve) => realSetImmediate(resolve));
+  }
+
+  // Moves time forward one millisecond at a time, so that promises settle between timers.
+  async function advanceTime(milliseconds: number) {
+    for (let i = 0; i < milliseconds; i++) {
+      setTime(currentTime + 1);
+      jest.advanceTimersByTime(1);
+      await flushPromises();
+    }
+  }
+
+  let limiter: RateLimiter;
+  beforeEach(() => {
+    limiter = new InMemoryRateLimiter({ interval: 100, maxInInterval: 1 });
+  });
+  afterEach(() => limiter.dispose());
+
+  it('resolves right away if the action is allowed', async () => {
+    expect(await limiter.acquire(id)).toMatchObject({ blocked: false });
+    expect(await limiter.wouldLimit(id)).toBe(true);
+  });
+
+  it('waits until each action is allowed, in the order they were made', async () => {
+    const admitted: Array<[string, number]> = [];
+    for (const name of ['first', 'second', 'third']) {
+      limiter.acquire(id).then(() => admitted.push([name, currentTime]));
+    }
+
+    await flushPromises();
+    expect(admitted).toEqual([['first', 0]]);
+
+    await advanceTime(200);
+    expect(admitted).toEqual([
+      ['first', 0],
+      ['second', 100],
+      ['third', 200],
+    ]);
+  });
+
+  it('rejects once timeoutMs has passed, without holding up later calls', async () => {
+    await limiter.acquire(id);
+    const timedOut = limiter.acquire(id, { timeoutMs: 50 });
+    timedOut.catch(() => undefined);
+    const later = limiter.acquire(id);
+
+    await advanceTime(50);
+    await expect(timedOut).rejects.toThrow('Action was not allowed within 50ms');
+
+    await advanceTime(50);
+    expect(await later).toMatchObject({ blocked: false });
+    expect(currentTime).toBe(100);
+  });
+
+  it('rejects if the signal is aborted', async () => {
+    // Jest's environment has no `AbortController`, so use a minimal signal.
+    const listeners = new Set<() => void>();
+    const signal = {
+      aborted: false,
+      addEventListener: (_type: 'abort', listener: () => void) => listeners.add(listener),
+      removeEventListener: (_type: 'abort', listener: () => void) =>
+        listeners.delete(listener),
+    };
+
+    await limiter.acquire(id);
+    const aborted = limiter.acquire(id, { signal });
+
+    await advanceTime(10);
+    signal.aborted = true;
+    listeners.forEach((listener) => listener());
+    await expect(aborted).rejects.toThrow('aborted');
+    expect(listeners.size).toBe(0);
+    await expect(limiter.acquire(id, { signal })).rejects.toThrow('aborted');
+  });
+
+  it('rejects right away if the weight could never be allowed', async () => {
+    await expect(limiter.acquire(id, { weight: 2 })).rejects.toThrow(
+      'Weight 2 is more than the 1 actions allowed in an interval',
+    );
+    expect(await limiter.acquire(id)).toMatchObject({ blocked: false });
+  });
+
+  it('handles errors reading the limits for the id with onStoreError', async () => {
+    const error = new Error('Store is down');
+    const failingLimiter = new RateLimiter({
+      store: {
+        getActions: () => Promise.reject(error),
+        clear: () => Promise.resolve(),
+        getLimitOverride: () => Promise.reject(error),
+        setLimitOverride: () => Promise.resolve(),
+        clearLimitOverride: () => Promise.resolve(),
+      },
+      interval: 100,
+      maxInInterval: 1,
+      limitOverrides: true,
+      onStoreError: 'allow',
+    });
+    expect(await failingLimiter.acquire(id)).toMatchObject({
+      blocked: false,
+      fromFallback: true,
+    });
+  });
+
+  describe('while the store fails and onStoreError blocks', () => {
+    let getActions: jest.Mock;
+    let store: RateLimitStore;
+    beforeEach(() => {
+      getActions = jest.fn(() => Promise.reject(new Error('Store is down')));
+      store = { getActions, clear: () => Promise.resolve() };
+    });
+
+    it('backs off, doubling the wait after each failure', async () => {
+      const failingLimiter = new RateLimiter({
+        store,
+        interval: 100,
+        maxInInterval: 1,
+        onStoreError: 'block',
+      });
+      const acquired = failingLimiter.acquire(id, { timeoutMs: 1000 });
+      acquired.catch(() => undefined);
+
+      await advanceTime(1000);
+      await expect(acquired).rejects.toThrow('Action was not allowed within 1000ms');
+      // Tried at 0, 10, 30, 70, 150, 310 and 630 milliseconds.
+      expect(getActions).toHaveBeenCalledTimes(7);
+    });
+
+    it('waits for the circuit breaker to let calls through again', async () => {
+      const failingLimiter = new RateLimiter({
+        store,
+        interval: 100,
+        maxInInterval: 1,
+        onStoreError: 'block',
+        circuitBreaker: { failureThreshold: 1, cooldown: 500 },
+      });
+      // Attempts skipped by the open circuit breaker still emit `storeError`.
+      const onStoreError = jest.fn();
+      failingLimiter.on('storeError', onStoreError);
+      const acquired = failingLimiter.acquire(id, { timeoutMs: 1000 });
+      acquired.catch(() => undefined);
+
+      await advanceTime(1000);
+      await expect(acquired).rejects.toThrow('Action was not allowed within 1000ms');
+      expect(onStoreError).toHaveBeenCalledTimes(2);
+      expect(getActions).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  it('throttles functions with wrap', async () => {
+    const double = jest.fn(async (_user: string, value: number) => value * 2);
+    const throttled = limiter.wrap(double, (user) => user);
+
+    expect(await throttled('alice', 1)).toBe(2);
+    expect(await throttled('bob', 2)).toBe(4);
+
+    const result = throttled('alice', 3);
+    await flushPromises();
+    expect(double).toHaveBeenCalledTimes(2);
+
+    await advanceTime(100);
+    expect(await result).toBe(6);
+    expect(double).toHaveBeenLastCalledWith('alice', 3);
   });
 });
@@ -1,22 +1,243 @@
 import assert from 'assert';
-import microtime from 'microtime';
+import { EventEmitter } from 'events';
+import { promises as fs } from 'fs';
 import { v4 as uuid } from 'uuid';
 
+import { CircuitBreaker, CircuitBreakerOptions } from './circuitBreaker';
+import { writeFileAtomically } from './fileStore';
+import {
+  InMemoryStore,
+  InMemoryStoreOptions,
+  InMemoryStoreState,
+  KeyBannedError,
+  RateLimitStore,
+  RecordViolationOptions,
+  RedisClient,
+  RedisStore,
+  escapeGlob,
+  sumWeights,
+} from './stores';
+import {
+  Clock,
+  Microseconds,
+  Milliseconds,
+  getCurrentMicroseconds,
+  microsecondsToMilliseconds,
+  millisecondsToMicroseconds,
+} from './time';
+
 export type Id = number | string;
-export type Seconds = number & { __brand: 'seconds' };
-export type Milliseconds = number & { __brand: 'milliseconds' };
-export type Microseconds = number & { __brand: 'microseconds' };
 
 /**
- * Generic options for constructing any rate limiter.
+ * Options for a single window enforced by a rate limiter.
  * See `README.md` for more information.
  */
-export interface RateLimiterOptions {
+export interface RateLimitTierOptions {
   interval: number;
   maxInInterval: number;
   minDifference?: number;
 }
 
+/**
+ * Generic options for constructing any rate limiter.
+ * See `README.md` for more information.
+ */
+export interface RateLimiterOptions extends RateLimitTierOptions {
+  name?: string;
+  algorithm?: RateLimitAlgorithm;
+  countBlockedActions?: boolean;
+  resolveLimits?: LimitsResolver;
+  limitOverrides?: boolean;
+  limitsCacheTtl?: number;
+  penaltyBox?: PenaltyBoxOptions;
+  lease?: LeaseOptions;
+  requireCommit?: boolean;
+  clock?: Clock;
+  store?: RateLimitStore;
+  namespace?: string;
+  hashTag?: HashTagStrategy;
+  onStoreError?: StoreErrorPolicy;
+  storeTimeout?: number;
+  circuitBreaker?: CircuitBreakerOptions;
+}
+
+/**
+ * How actions are counted. `'rolling-window'` stores every action and is exact, while
+ * `'sliding-window-counter'` only stores two counts per key, and estimates how many of the previous
+ * window's actions are still within `interval`. `'token-bucket'` allows bursts of up to
+ * `maxInInterval`, refilled at a steady rate of `maxInInterval` per `interval`.
+ */
+export type RateLimitAlgorithm =
+  | 'rolling-window'
+  | 'sliding-window-counter'
+  | 'token-bucket';
+
+/**
+ * Wraps part of each key in a Redis Cluster hash tag, so related keys share a hash slot. `'id'`
+ * keeps each ID's keys together, spreading IDs across the cluster. `'namespace'` keeps every key of
+ * the limiter on a single node, which `allOrNothing` needs.
+ */
+export type HashTagStrategy = 'id' | 'namespace';
+
+/**
+ * Returns the limits for an ID, such as those of the user's plan. Missing options default to those
+ * passed to the constructor, and returning `null` or `undefined` uses the constructor's limits.
+ */
+export type LimitsResolver = (
+  id: Id,
+) => LimitsForId | null | undefined | Promise<LimitsForId | null | undefined>;
+
+/**
+ * Limits for a single ID, returned by a `LimitsResolver` or set with `setLimitOverride`.
+ */
+export type LimitsForId = Partial<RateLimitTierOptions>;
+
+/**
+ * Options for banning IDs that are blocked `maxViolations` times within `window`.
+ * See `README.md` for more information.
+ */
+export interface PenaltyBoxOptions {
+  maxViolations: number;
+  window: number;
+  banDuration: number;
+  maxBanDuration?: number;
+  forgetAfter?: number;
+}
+
+/**
+ * Options for leasing `size` of each ID's budget from the store at a time, and using it up locally
+ * for up to `ttl` milliseconds. See `README.md` for more information.
+ */
+export interface LeaseOptions {
+  size: number;
+  ttl: number;
+}
+
+/**
+ * How often `limitWithInfo` was answered from a local lease, how often it called the store, and how
+ * many leases it took out.
+ */
+export interface LeaseStats {
+  hits: number;
+  misses: number;
+  leases: number;
+}
+
+interface Lease {
+  remaining: number;
+  /** What the store had left for the ID after the lease was taken out. */
+  storeRemaining: number;
+  /** The `maxInInterval` that applied to the ID when the lease was taken out. */
+  maxInInterval: number;
+  expiresAt: Microseconds;
+}
+
+/**
+ * What to do when the store fails or times out: reject, allow the action, block the action, or
+ * ask a fallback rate limiter instead.
+ */
+export type StoreErrorPolicy = 'throw' | 'allow' | 'block' | RateLimiter;
+
+/**
+ * Options for constructing a rate limiter that enforces several windows at once.
+ * See `README.md` for more information.
+ */
+export interface MultiTierRateLimiterOptions
+  extends Omit<RateLimiterOptions, keyof RateLimitTierOptions | FixedLimitOptions> {
+  tiers: Array<RateLimitTierOptions>;
+}
+
+/**
+ * Options for constructing a token bucket rate limiter.
+ * See `README.md` for more information.
+ */
+export interface TokenBucketRateLimiterOptions
+  extends Omit<RateLimiterOptions, keyof RateLimitTierOptions | FixedLimitOptions> {
+  capacity: number;
+  refillRatePerSecond: number;
+}
+
+/** Options that limiters with their own way of configuring limits do not support. */
+type FixedLimitOptions =
+  | 'algorithm'
+  | 'countBlockedActions'
+  | 'resolveLimits'
+  | 'limitOverrides'
+  | 'limitsCacheTtl';
+
+/**
+ * Options for `acquire`, and for functions throttled with `wrap`.
+ * See `README.md` for more information.
+ */
+export interface AcquireOptions {
+  weight?: number;
+  timeoutMs?: number;
+  signal?: AbortSignalLike;
+}
+
+/**
+ * Options for `limitManyWithInfo` and `wouldLimitManyWithInfo`.
+ * See `README.md` for more information.
+ */
+export interface LimitManyOptions {
+  weight?: number;
+  allOrNothing?: boolean;
+}
+
+/**
+ * What `getUsage` returns. Timestamps are in microseconds, like those of actions.
+ * See `README.md` for more information.
+ */
+export interface RateLimitUsage {
+  actions: Array<Action>;
+  windowStart: Microseconds;
+  nextAllowedAt: Microseconds;
+}
+
+/**
+ * Options for `listKeys`.
+ * See `README.md` for more information.
+ */
+export interface ListIdsOptions {
+  prefix?: string;
+  cursor?: string | null;
+  count?: number;
+}
+
+/**
+ * A page of IDs returned by `listKeys`. `cursor` is `null` once every ID has been returned.
+ */
+export interface ListIdsResult {
+  ids: Array<string>;
+  cursor: string | null;
+}
+
+/** Minimal interface of an `AbortSignal` needed for `acquire`. */
+interface AbortSignalLike {
+  aborted: boolean;
+  addEventListener(type: 'abort', listener: () => void): void;
+  removeEventListener(type: 'abort', listener: () => void): void;
+}
+
+/**
+ * A window enforced by a rate limiter, with its durations converted to microseconds.
+ */
+export interface RateLimitTier {
+  interval: Microseconds;
+  maxInInterval: number;
+  minDifference: Microseconds;
+}
+
+/**
+ * An action recorded by a rate limiter. `weight` is how much of `maxInInterval` the action used up.
+ */
+export interface Action {
+  timestamp: Microseconds;
+  weight: number;
+  /** Only set for actions recorded by `limitWithInfo`. Identifies the action for `refund`. */
+  id?: string;
+}
+
 /**
  * Result shape returned by `limitWithInfo` and `wouldLimitWithInfo`.
  * See `README.md` for more information.
@@ -27,283 +248,1894 @@ export interface RateLimitInfo {
   blockedDueToMinDifference: boolean;
   millisecondsUntilAllowed: Milliseconds;
   actionsRemaining: number;
+  /**
+   * The `maxInInterval` that applied to the ID. For multi-tier limiters, that of the tier that
+   * blocked the action, or else of the tier with the fewest actions remaining.
+   */
+  maxInInterval: number;
+  /** Only set by multi-tier limiters. The index of the first tier that blocked, if any. */
+  blockedByTier?: number | null;
+  /** Only set if the store failed, and the result came from `onStoreError`. */
+  fromFallback?: boolean;
+  /** Only set with `lease`, if the result came from a local lease without calling the store. */
+  fromLease?: boolean;
+  /**
+   * Only set for allowed actions with the rolling window algorithm. Pass it to `refund` to give the
+   * action back, or to `commit` to record it with `requireCommit`.
+   */
+  token?: string;
+  /** Only set with `penaltyBox`. Whether the ID is banned, before or because of this action. */
+  blockedDueToBan?: boolean;
+  /** Only set with `penaltyBox`. How long until the ID's ban ends, or `0` if it is not banned. */
+  millisecondsUntilUnbanned?: Milliseconds;
+}
+
+/**
+ * Emitted by `limitWithInfo`, `limitManyWithInfo` and `acquire` for every attempted action.
+ * `storeDuration` is how long the store took to respond, in milliseconds.
+ */
+export interface RateLimitDecisionEvent {
+  limiter: string;
+  id: Id;
+  weight: number;
+  info: RateLimitInfo;
+  storeDuration: number;
+}
+
+/**
+ * Emitted by `clear` with the cleared `id`, and by `clearByPattern` and `clearAll` with the
+ * `pattern` and how many IDs were cleared.
+ */
+export interface RateLimitClearedEvent {
+  limiter: string;
+  id?: Id;
+  pattern?: string;
+  count?: number;
+}
+
+/**
+ * Emitted whenever the store fails or times out, before `onStoreError` handles it.
+ */
+export interface RateLimitStoreErrorEvent {
+  limiter: string;
+  ids: Array<Id>;
+  error: unknown;
+  storeDuration: number;
 }
 
 /**
- * Abstract base class for rate limiters.
+ * Emitted by `InMemoryRateLimiter` when a periodic snapshot cannot be saved.
  */
-export class RateLimiter {
+export interface RateLimitSnapshotErrorEvent {
+  limiter: string;
+  path: string;
+  error: unknown;
+}
+
+/**
+ * Events emitted by rate limiters, and their payloads.
+ * See `README.md` for more information.
+ */
+export interface RateLimiterEvents {
+  allowed: RateLimitDecisionEvent;
+  blocked: RateLimitDecisionEvent;
+  cleared: RateLimitClearedEvent;
+  storeError: RateLimitStoreErrorEvent;
+  snapshotError: RateLimitSnapshotErrorEvent;
+}
+
+type RateLimiterListener<E extends keyof RateLimiterEvents> = (
+  event: RateLimiterEvents[E],
+) => void;
+
+export interface RateLimiter {
+  on<E extends keyof RateLimiterEvents>(event: E, listener: RateLimiterListener<E>): this;
+  once<E extends keyof RateLimiterEvents>(
+    event: E,
+    listener: RateLimiterListener<E>,
+  ): this;
+  off<E extends keyof RateLimiterEvents>(
+    event: E,
+    listener: RateLimiterListener<E>,
+  ): this;
+  emit<E extends keyof RateLimiterEvents>(
+    event: E,
+    payload: RateLimiterEvents[E],
+  ): boolean;
+}
+
+/**
+ * Base class for rate limiters. Stores its state in the provided `store`, and emits the events in
+ * `RateLimiterEvents`.
+ */
+export class RateLimiter extends EventEmitter {
+  name: string;
   interval: Microseconds;
   maxInInterval: number;
   minDifference: Microseconds;
+  algorithm: RateLimitAlgorithm;
+  countBlockedActions: boolean;
+  tiers: Array<RateLimitTier>;
+  resolveLimits: LimitsResolver | undefined;
+  limitOverrides: boolean;
+  limitsCacheTtl: Microseconds;
+  penaltyBox: Omit<RecordViolationOptions, 'now'> | undefined;
+  lease: { size: number; ttl: Microseconds } | undefined;
+  requireCommit: boolean;
+  clock: Clock;
+  store: RateLimitStore | undefined;
+  namespace: string;
+  hashTag: HashTagStrategy | undefined;
+  onStoreError: StoreErrorPolicy;
+  storeTimeout: Milliseconds | undefined;
+  circuitBreaker: CircuitBreaker | undefined;
+  private keyPrefix: string;
+  private keySuffix: string;
+  private acquireQueues: Map<string, Promise<void>>;
+  private defaultLimits: RateLimitTierOptions;
+  private limitsCache: Map<
+    string,
+    { tiers: Array<RateLimitTier>; expiresAt: Microseconds }
+  >;
+  private leases: Map<string, Lease>;
+  private leaseStats: LeaseStats;
 
-  constructor({ interval, maxInInterval, minDifference = 0 }: RateLimiterOptions) {
-    assert(interval > 0, 'Must pass a positive integer for `options.interval`');
-    assert(maxInInterval > 0, 'Must pass a positive integer for `options.maxInInterval`');
-    assert(minDifference >= 0, '`options.minDifference` cannot be negative');
+  constructor({
+    name,
+    algorithm = 'rolling-window',
+    countBlockedActions = true,
+    resolveLimits,
+    limitOverrides = false,
+    limitsCacheTtl = 60000,
+    penaltyBox,
+    lease,
+    requireCommit = false,
+    clock = getCurrentMicroseconds,
+    store,
+    namespace = '',
+    hashTag,
+    onStoreError = 'throw',
+    storeTimeout,
+    circuitBreaker,
+    ...tierOptions
+  }: RateLimiterOptions) {
+    super();
+    assert(
+      storeTimeout == null || storeTimeout > 0,
+      '`options.storeTimeout` must be a positive number',
+    );
+    assert(limitsCacheTtl >= 0, '`options.limitsCacheTtl` cannot be negative');
+    assert(
+      hashTag !== 'namespace' || namespace,
+      '`options.namespace` is required when `options.hashTag` is `"namespace"`',
+    );
+    // Redis databases are often shared, so without a namespace, `clearAll` would clear every key.
+    assert(
+      namespace || !(store instanceof RedisStore),
+      '`options.namespace` is required with Redis',
+    );
+    const tier = makeTier(tierOptions);
+    assertSupportedTier(tier, algorithm);
+    if (lease) {
+      assert(lease.size > 0, 'Must pass a positive number for `options.lease.size`');
+      assert(lease.ttl > 0, 'Must pass a positive number for `options.lease.ttl`');
+      assert(
+        algorithm === 'rolling-window',
+        '`options.lease` needs the rolling window algorithm',
+      );
+      assert(!penaltyBox, 'Cannot pass both `options.lease` and `options.penaltyBox`');
+      assert(
+        tier.minDifference === 0,
+        'Cannot pass both `options.lease` and `minDifference`',
+      );
+      assert(
+        !requireCommit,
+        'Cannot pass both `options.lease` and `options.requireCommit`',
+      );
+    }
+    assert(
+      !requireCommit || algorithm === 'rolling-window',
+      '`options.requireCommit` needs the rolling window algorithm',
+    );
+    this.interval = tier.interval;
+    this.maxInInterval = tier.maxInInterval;
+    this.minDifference = tier.minDifference;
+    this.algorithm = algorithm;
+    this.name = name || namespace || 'default';
+    this.countBlockedActions = countBlockedActions;
+    this.tiers = [tier];
+    this.resolveLimits = resolveLimits;
+    this.limitOverrides = limitOverrides;
+    this.limitsCacheTtl = millisecondsToMicroseconds(limitsCacheTtl as Milliseconds);
+    this.penaltyBox = penaltyBox && makePenaltyBox(penaltyBox);
+    this.lease = lease && {
+      size: lease.size,
+      ttl: millisecondsToMicroseconds(lease.ttl as Milliseconds),
+    };
+    this.requireCommit = requireCommit;
+    this.clock = clock;
+    this.store = store;
+    this.namespace = namespace;
+    this.hashTag = hashTag;
+    this.keyPrefix = namespace;
+    this.keySuffix = '';
+    if (hashTag === 'namespace') {
+      this.keyPrefix = `{${namespace}}`;
+    } else if (hashTag === 'id') {
+      this.keyPrefix = `${namespace}{`;
+      this.keySuffix = '}';
+    }
+    this.onStoreError = onStoreError;
+    this.storeTimeout = storeTimeout as Milliseconds | undefined;
+    this.circuitBreaker = circuitBreaker && new CircuitBreaker(circuitBreaker);
+    this.acquireQueues = new Map<string, Promise<void>>();
+    this.defaultLimits = tierOptions;
+    this.limitsCache = new Map<
+      string,
+      { tiers: Array<RateLimitTier>; expiresAt: Microseconds }
+    >();
+    this.leases = new Map<string, Lease>();
+    this.leaseStats = { hits: 0, misses: 0, leases: 0 };
+  }
 
-    this.interval = millisecondsToMicroseconds(interval as Milliseconds);
-    this.maxInInterval = maxInInterval;
-    this.minDifference = millisecondsToMicroseconds(minDifference as Milliseconds);
+  /**
+   * Returns the key used for the provided ID in the store.
+   */
+  makeKey(id: Id): string {
+    return `${this.keyPrefix}${id}${this.keySuffix}`;
   }
 
   /**
    * Attempts an action for the provided ID. Return information about whether the action was
-   * allowed and why, and whether upcoming actions will be allowed.
+   * allowed and why, and whether upcoming actions will be allowed. `weight` is how much of
+   * `maxInInterval` the action uses up.
    */
-  async limitWithInfo(id: Id): Promise<RateLimitInfo> {
-    const timestamps = await this.getTimestamps(id, true);
-    return this.calculateInfo(timestamps);
+  async limitWithInfo(id: Id, weight = 1): Promise<RateLimitInfo> {
+    assertValidWeight(weight);
+    if (this.lease) {
+      const leasedInfo = this.getLeasedInfo(id, weight, true);
+      if (leasedInfo) {
+        this.leaseStats.hits++;
+        const event = {
+          limiter: this.name,
+          id,
+          weight,
+          info: leasedInfo,
+          storeDuration: 0,
+        };
+        this.emit('allowed', event);
+        return leasedInfo;
+      }
+      this.leaseStats.misses++;
+    }
+
+    return this.withStoreErrorHandling(
+      async () => {
+        const now = await this.getCurrentTime();
+        const tiers = await this.getTiers(id);
+        return this.withPenaltyBox(id, true, now, tiers, async (unlessBannedAt) => {
+          if (this.algorithm === 'sliding-window-counter') {
+            return this.getCounterInfo(id, true, weight, tiers[0], now, unlessBannedAt);
+          }
+          if (this.algorithm === 'token-bucket') {
+            return this.getTokenBucketInfo(
+              id,
+              true,
+              weight,
+              tiers[0],
+              now,
+              unlessBannedAt,
+            );
+          }
+          if (this.lease) return this.takeLease(id, weight, tiers, now);
+          if (this.requireCommit) {
+            // Nothing is recorded until `commit`, so this is the same check as `wouldLimitWithInfo`.
+            const existingActions = await this.getActions(
+              id,
+              false,
+              weight,
+              tiers,
+              now,
+              unlessBannedAt,
+            );
+            const currentAction = { timestamp: now, weight, id: makeActionId(weight) };
+            const info = this.calculateInfo(
+              [...existingActions, currentAction],
+              true,
+              tiers,
+            );
+            return withToken(info, currentAction);
+          }
+          const actions = await this.getActions(
+            id,
+            true,
+            weight,
+            tiers,
+            now,
+            unlessBannedAt,
+          );
+          return withToken(
+            this.calculateInfo(actions, false, tiers),
+            actions[actions.length - 1],
+          );
+        });
+      },
+      (fallback) => fallback.limitWithInfo(id, weight),
+      id,
+      weight,
+      true,
+    );
   }
 
   /**
    * Returns information about what would happen if an action were attempted for the provided ID.
    */
-  async wouldLimitWithInfo(id: Id): Promise<RateLimitInfo> {
-    const existingTimestamps = await this.getTimestamps(id, false);
-    const currentTimestamp = getCurrentMicroseconds();
-    return this.calculateInfo([...existingTimestamps, currentTimestamp], true);
+  async wouldLimitWithInfo(id: Id, weight = 1): Promise<RateLimitInfo> {
+    assertValidWeight(weight);
+    const leasedInfo = this.lease && this.getLeasedInfo(id, weight, false);
+    if (leasedInfo) return leasedInfo;
+
+    return this.withStoreErrorHandling(
+      async () => {
+        const now = await this.getCurrentTime();
+        const tiers = await this.getTiers(id);
+        return this.withPenaltyBox(id, false, now, tiers, async (unlessBannedAt) => {
+          if (this.algorithm === 'sliding-window-counter') {
+            return this.getCounterInfo(id, false, weight, tiers[0], now, unlessBannedAt);
+          }
+          if (this.algorithm === 'token-bucket') {
+            return this.getTokenBucketInfo(
+              id,
+              false,
+              weight,
+              tiers[0],
+              now,
+              unlessBannedAt,
+            );
+          }
+          const existingActions = await this.getActions(
+            id,
+            false,
+            weight,
+            tiers,
+            now,
+            unlessBannedAt,
+          );
+          const currentAction = { timestamp: now, weight };
+          return this.calculateInfo([...existingActions, currentAction], true, tiers);
+        });
+      },
+      (fallback) => fallback.wouldLimitWithInfo(id, weight),
+      id,
+      weight,
+      false,
+    );
+  }
+
+  /**
+   * Attempts an action for each of the provided IDs, in a single call to the store if it supports
+   * `getManyActions`. Returns the info for each ID, in the same order. If `allOrNothing` is set,
+   * the action is only recorded for any ID if every ID allows it.
+   */
+  async limitManyWithInfo(
+    ids: Array<Id>,
+    { weight = 1, allOrNothing = false }: LimitManyOptions = {},
+  ): Promise<Array<RateLimitInfo>> {
+    assertValidWeight(weight);
+    assert(
+      !allOrNothing || this.algorithm === 'rolling-window',
+      '`allOrNothing` is only supported by the rolling window algorithm',
+    );
+    assert(
+      !allOrNothing || !this.penaltyBox,
+      '`allOrNothing` is not supported with `penaltyBox`',
+    );
+    assert(!allOrNothing || !this.lease, '`allOrNothing` is not supported with `lease`');
+    assert(
+      !allOrNothing || !this.requireCommit,
+      '`allOrNothing` is not supported with `requireCommit`',
+    );
+    if (
+      this.algorithm !== 'rolling-window' ||
+      this.penaltyBox ||
+      this.lease ||
+      this.requireCommit
+    ) {
+      return Promise.all(ids.map((id) => this.limitWithInfo(id, weight)));
+    }
+
+    return this.withStoreErrorHandlingForMany(
+      async () => {
+        const now = await this.getCurrentTime();
+        const tierLists = await Promise.all(ids.map((id) => this.getTiers(id)));
+        const actionLists = await this.getManyActions(
+          ids,
+          true,
+          weight,
+          allOrNothing,
+          tierLists,
+          now,
+        );
+        const infos = actionLists.map((actions, i) =>
+          this.calculateInfo(actions, false, tierLists[i]),
+        );
+        // With `allOrNothing`, nothing is recorded if any ID blocked the action.
+        if (allOrNothing && infos.some((info) => info.blocked)) return infos;
+        return infos.map((info, i) =>
+          withToken(info, actionLists[i][actionLists[i].length - 1]),
+        );
+      },
+      (fallback) => fallback.limitManyWithInfo(ids, { weight, allOrNothing }),
+      ids,
+      weight,
+      true,
+    );
+  }
+
+  /**
+   * Returns information about what would happen if an action were attempted for each of the
+   * provided IDs, in a single call to the store if it supports `getManyActions`.
+   */
+  async wouldLimitManyWithInfo(
+    ids: Array<Id>,
+    { weight = 1 }: Pick<LimitManyOptions, 'weight'> = {},
+  ): Promise<Array<RateLimitInfo>> {
+    assertValidWeight(weight);
+    if (this.algorithm !== 'rolling-window' || this.penaltyBox || this.lease) {
+      return Promise.all(ids.map((id) => this.wouldLimitWithInfo(id, weight)));
+    }
+
+    return this.withStoreErrorHandlingForMany(
+      async () => {
+        const now = await this.getCurrentTime();
+        const tierLists = await Promise.all(ids.map((id) => this.getTiers(id)));
+        const actionLists = await this.getManyActions(
+          ids,
+          false,
+          weight,
+          false,
+          tierLists,
+          now,
+        );
+        const currentAction = { timestamp: now, weight };
+        return actionLists.map((actions, i) =>
+          this.calculateInfo([...actions, currentAction], true, tierLists[i]),
+        );
+      },
+      (fallback) => fallback.wouldLimitManyWithInfo(ids, { weight }),
+      ids,
+      weight,
+      false,
+    );
   }
 
   /**
    * Attempts an action for the provided ID. Returns whether it was blocked.
    */
-  async limit(id: Id): Promise<boolean> {
-    return (await this.limitWithInfo(id)).blocked;
+  async limit(id: Id, weight = 1): Promise<boolean> {
+    return (await this.limitWithInfo(id, weight)).blocked;
   }
 
   /**
    * Returns whether an action for the provided ID would be blocked, if it were attempted.
    */
-  async wouldLimit(id: Id): Promise<boolean> {
-    return (await this.wouldLimitWithInfo(id)).blocked;
+  async wouldLimit(id: Id, weight = 1): Promise<boolean> {
+    return (await this.wouldLimitWithInfo(id, weight)).blocked;
+  }
+
+  /**
+   * Waits until an action for the provided ID is allowed, and then attempts it. Resolves with the
+   * info of the allowed action, or rejects once `timeoutMs` has passed or `signal` is aborted.
+   * Calls for the same ID in this process are admitted in the order they were made. Rejects right
+   * away if `weight` is more than the ID's limit, since the action could never be allowed.
+   */
+  async acquire(
+    id: Id,
+    { weight = 1, timeoutMs, signal }: AcquireOptions = {},
+  ): Promise<RateLimitInfo> {
+    assertValidWeight(weight);
+    const key = this.makeKey(id);
+    const waiter = createWaiter(timeoutMs, signal);
+
+    // Each call waits for the previous one, even if that one gives up early.
+    const previousTurn = this.acquireQueues.get(key) || Promise.resolve();
+    let endTurn = () => {};
+    const turn = new Promise<void>((resolve) => (endTurn = resolve));
+    const queueTail = previousTurn.then(() => turn);
+    this.acquireQueues.set(key, queueTail);
+
+    try {
+      // If the ID's limits cannot be read, the attempts below handle that with `onStoreError`.
+      const tiers = await this.getTiers(id).catch(() => this.tiers);
+      const maxInInterval = Math.min(...tiers.map((tier) => tier.maxInInterval));
+      if (weight > maxInInterval) {
+        throw new Error(
+          `Weight ${weight} is more than the ${maxInInterval} actions allowed in an interval`,
+        );
+      }
+
+      await waiter.wait(previousTurn);
+      let storeFailures = 0;
+      for (;;) {
+        // Check first, so that attempts made while waiting are not counted as blocked actions.
+        let info = await this.wouldLimitWithInfo(id, weight);
+        waiter.throwIfStopped();
+        if (!info.blocked) {
+          const result = await this.limitWithInfo(id, weight);
+          if (!result.blocked) return result;
+          if (result.fromFallback) info = result;
+        }
+        let wait;
+        if (info.fromFallback && !info.millisecondsUntilAllowed) {
+          // `onStoreError` blocked without saying for how long, so back off until the store recovers.
+          wait = this.getStoreRetryDelay(storeFailures++);
+        } else {
+          storeFailures = 0;
+          wait = await this.getMillisecondsUntilAllowed(id, weight, info);
+        }
+        waiter.throwIfStopped();
+        await waiter.sleep(Math.max(1, wait));
+      }
+    } finally {
+      endTurn();
+      waiter.dispose();
+      if (this.acquireQueues.get(key) === queueTail) this.acquireQueues.delete(key);
+    }
+  }
+
+  /**
+   * Returns a version of `fn` that waits for `acquire` before every call. `getId` is called with
+   * the same arguments as `fn`, and returns the ID to limit by.
+   */
+  wrap<Args extends Array<unknown>, Result>(
+    fn: (...args: Args) => Result | Promise<Result>,
+    getId: (...args: Args) => Id | Promise<Id>,
+    options?: AcquireOptions,
+  ): (...args: Args) => Promise<Result> {
+    return async (...args: Args) => {
+      await this.acquire(await getId(...args), options);
+      return fn(...args);
+    };
   }
 
   /**
    * Clears rate limiting state for the provided ID.
    */
-  async clear(_id: Id): Promise<void> {
-    return Promise.reject(new Error('Not implemented'));
+  async clear(id: Id): Promise<void> {
+    this.leases.delete(this.makeKey(id));
+    await this.getStore().clear(this.makeKey(id));
+    this.emit('cleared', { limiter: this.name, id });
+  }
+
+  /**
+   * Returns the actions recorded for the provided ID within `interval`, and when an action will
+   * next be allowed. Only rolling windows store individual actions, so `actions` is empty with
+   * other algorithms. Meant for inspecting state, so store errors are not handled by `onStoreError`.
+   */
+  async getUsage(id: Id): Promise<RateLimitUsage> {
+    const tiers = await this.getTiers(id);
+    const now = await this.getCurrentTime();
+    let actions: Array<Action> = [];
+    let microsecondsUntilAllowed;
+    if (this.algorithm === 'rolling-window') {
+      actions = await this.getActions(id, false, 1, tiers, now);
+      microsecondsUntilAllowed = Math.max(
+        0,
+        ...tiers.map((tier) => getMicrosecondsUntilTierAllows(tier, actions, now, 1)),
+      );
+    } else {
+      const info =
+        this.algorithm === 'token-bucket'
+          ? await this.getTokenBucketInfo(id, false, 1, tiers[0], now)
+          : await this.getCounterInfo(id, false, 1, tiers[0], now);
+      microsecondsUntilAllowed = millisecondsToMicroseconds(
+        info.millisecondsUntilAllowed,
+      );
+    }
+
+    return {
+      actions: actions.map(({ timestamp, weight }) => ({ timestamp, weight })),
+      windowStart: (now - getLongestInterval(tiers)) as Microseconds,
+      nextAllowedAt: ((now as number) + microsecondsUntilAllowed) as Microseconds,
+    };
+  }
+
+  /**
+   * Returns a page of IDs that have state in the store, starting with `prefix`. Pass the returned
+   * `cursor` to get the next page. Pages may have fewer than `count` IDs before the last one.
+   */
+  async listKeys({
+    prefix = '',
+    cursor,
+    count = 100,
+  }: ListIdsOptions = {}): Promise<ListIdsResult> {
+    const store = this.getStore();
+    if (!store.listKeys) throw new Error('The store does not support listing keys');
+
+    const match = `${escapeGlob(`${this.keyPrefix}${prefix}`)}*`;
+    const page = await store.listKeys({ match, cursor, count });
+    return {
+      ids: page.keys
+        .filter((key) => key.endsWith(this.keySuffix))
+        .map((key) =>
+          key.slice(this.keyPrefix.length, key.length - this.keySuffix.length),
+        ),
+      cursor: page.cursor,
+    };
+  }
+
+  /**
+   * Clears rate limiting state for every ID matching the glob-style `pattern`, and returns how many
+   * were cleared.
+   */
+  async clearByPattern(pattern: string): Promise<number> {
+    const store = this.getStore();
+    if (!store.clearByPattern)
+      throw new Error('The store does not support clearing by pattern');
+    const match = `${escapeGlob(this.keyPrefix)}${pattern}${escapeGlob(this.keySuffix)}`;
+    const count = await store.clearByPattern(match);
+    this.leases.clear();
+    this.emit('cleared', { limiter: this.name, pattern, count });
+    return count;
+  }
+
+  /**
+   * Clears rate limiting state for every ID, and returns how many were cleared. Clears every key in
+   * the store that starts with `namespace`, so limiters sharing a store should use different ones.
+   */
+  async clearAll(): Promise<number> {
+    return this.clearByPattern('*');
+  }
+
+  /**
+   * Removes the action with the provided `token`, returned by `limitWithInfo`, so that it no longer
+   * counts towards the ID's limits. Returns whether the action was found.
+   */
+  async refund(id: Id, token: string): Promise<boolean> {
+    const store = this.getStore();
+    if (!store.removeAction) throw new Error('The store does not support refunds');
+    return store.removeAction(this.makeKey(id), token);
+  }
+
+  /**
+   * Records the action with the provided `token`, returned by `limitWithInfo` when `requireCommit`
+   * is set. The action is recorded at the current time, even if the ID is now over its limits.
+   * Committing a token again moves its action to the current time, rather than recording another.
+   */
+  async commit(id: Id, token: string): Promise<void> {
+    assert(this.requireCommit, '`commit` needs the `requireCommit` option');
+    const weight = getTokenWeight(token);
+
+    const tiers = await this.getTiers(id);
+    const now = await this.getCurrentTime();
+    const interval = getLongestInterval(tiers);
+    await this.getStore().getActions(this.makeKey(id), {
+      now,
+      clearBefore: (now - interval) as Microseconds,
+      expireAfter: interval,
+      newAction: { timestamp: now, weight, id: token },
+    });
+  }
+
+  /**
+   * Returns how often `limitWithInfo` was answered from a local lease (`hits`) or called the store
+   * (`misses`), and how many leases were taken out, since the limiter was created.
+   */
+  getLeaseStats(): LeaseStats {
+    return { ...this.leaseStats };
+  }
+
+  /**
+   * Lifts the provided ID's ban, if any, and forgets its violations and previous bans.
+   */
+  async unban(id: Id): Promise<void> {
+    await this.getPenaltyBoxStore().unban(this.makeKey(id));
+  }
+
+  /**
+   * Stores limits for the provided ID, which take precedence over `resolveLimits` and the limits
+   * passed to the constructor. Options that are left out default to the constructor's. Other
+   * processes may take up to `limitsCacheTtl` to use them.
+   */
+  async setLimitOverride(id: Id, limits: LimitsForId): Promise<void> {
+    const store = this.getLimitOverrideStore();
+    this.makeTierForId(limits);
+    await store.setLimitOverride(this.makeKey(id), limits);
+    this.limitsCache.delete(this.makeKey(id));
+  }
+
+  /**
+   * Returns the limits stored for the provided ID with `setLimitOverride`, or `null` if there are
+   * none.
+   */
+  async getLimitOverride(id: Id): Promise<LimitsForId | null> {
+    return this.getLimitOverrideStore().getLimitOverride(this.makeKey(id));
+  }
+
+  /**
+   * Removes the limits stored for the provided ID with `setLimitOverride`.
+   */
+  async clearLimitOverride(id: Id): Promise<void> {
+    await this.getLimitOverrideStore().clearLimitOverride(this.makeKey(id));
+    this.limitsCache.delete(this.makeKey(id));
+  }
+
+  /**
+   * Releases any resources held by the store, such as timers.
+   */
+  async dispose(): Promise<void> {
+    this.leases.clear();
+    if (this.store && this.store.dispose) await this.store.dispose();
+  }
+
+  /**
+   * Returns the current time from `clock`.
+   */
+  protected async getCurrentTime(): Promise<Microseconds> {
+    return (await this.clock()) as Microseconds;
+  }
+
+  /**
+   * Returns the tiers to enforce for the provided ID: its override if `limitOverrides` is set and
+   * it has one, otherwise the limits returned by `resolveLimits`, otherwise the limiter's own.
+   * Results are cached for `limitsCacheTtl`.
+   */
+  protected async getTiers(id: Id): Promise<Array<RateLimitTier>> {
+    if (!this.resolveLimits && !this.limitOverrides) return this.tiers;
+
+    const key = this.makeKey(id);
+    const now = getCurrentMicroseconds();
+    const cached = this.limitsCache.get(key);
+    if (cached && cached.expiresAt > now) return cached.tiers;
+
+    let limits: LimitsForId | null | undefined = this.limitOverrides
+      ? await this.getLimitOverrideStore().getLimitOverride(key)
+      : null;
+    if (!limits && this.resolveLimits) limits = await this.resolveLimits(id);
+    const tiers = limits ? [this.makeTierForId(limits)] : this.tiers;
+
+    // Every entry is cached for as long, so re-inserting keeps the map ordered by expiry, and
+    // expired entries can be dropped from the start.
+    this.limitsCache.delete(key);
+    this.limitsCache.set(key, {
+      tiers,
+      expiresAt: ((now as number) + (this.limitsCacheTtl as number)) as Microseconds,
+    });
+    for (const [cachedKey, entry] of this.limitsCache) {
+      if (entry.expiresAt > now) break;
+      this.limitsCache.delete(cachedKey);
+    }
+    return tiers;
+  }
+
+  /**
+   * Returns the list of actions attempted within `interval` for the provided ID. If `addNewAction`
+   * flag is set, adds a new action with the current microsecond timestamp (`now`, if provided) and
+   * the given `weight`, and that action is the last item in the list. When `countBlockedActions` is
+   * disabled, the new action is only stored if it is allowed, but it is returned either way. If
+   * `unlessBannedAt` is set, rejects with a `KeyBannedError` instead if the ID is banned then.
+   */
+  protected async getActions(
+    id: Id,
+    addNewAction: boolean,
+    weight: number,
+    tiers: Array<RateLimitTier> = this.tiers,
+    now?: Microseconds,
+    unlessBannedAt?: Microseconds,
+  ) {
+    const currentAction: Action = {
+      timestamp: now == null ? await this.getCurrentTime() : now,
+      weight,
+    };
+    if (addNewAction) currentAction.id = makeActionId(weight);
+    const interval = getLongestInterval(tiers);
+    const storedActions = await this.getStore().getActions(this.makeKey(id), {
+      now: currentAction.timestamp,
+      clearBefore: (currentAction.timestamp - interval) as Microseconds,
+      expireAfter: interval,
+      newAction: addNewAction ? currentAction : undefined,
+      // Blocked actions are not stored at all unless they are configured to count.
+      onlyIfAllowedBy: this.countBlockedActions ? undefined : tiers,
+      unlessBannedAt,
+    });
+    return addNewAction ? [...storedActions, currentAction] : storedActions;
+  }
+
+  /**
+   * Computes the RateLimitInfo with the sliding window counter algorithm. The number of actions
+   * in the last `interval` is estimated from the counts of the current and previous fixed windows,
+   * assuming the previous window's actions were evenly spread out. If `addNewAction` is set, the
+   * current window's count is incremented by `weight`. `unlessBannedAt` is passed to the store, as
+   * with `getActions`.
+   */
+  protected async getCounterInfo(
+    id: Id,
+    addNewAction: boolean,
+    weight: number,
+    { interval, maxInInterval }: RateLimitTier = this.tiers[0],
+    now?: Microseconds,
+    unlessBannedAt?: Microseconds,
+  ): Promise<RateLimitInfo> {
+    const store = this.getStore();
+    if (!store.getCounts) {
+      throw new Error('The store does not support the sliding window counter algorithm');
+    }
+
+    const { previous, current, elapsed } = await store.getCounts(this.makeKey(id), {
+      now: now == null ? await this.getCurrentTime() : now,
+      interval,
+      // The current window's count is used as the previous one during the next window.
+      expireAfter: (2 * interval) as Microseconds,
+      increment: addNewAction ? weight : undefined,
+      onlyIfWithin: this.countBlockedActions ? undefined : maxInInterval,
+      unlessBannedAt,
+    });
+
+    const estimate = previous * (1 - elapsed / interval) + current;
+    const blocked = estimate + weight > maxInInterval;
+    const recorded = addNewAction && (!blocked || this.countBlockedActions);
+    const microsecondsUntilAllowed = getMicrosecondsUntilCounterAllows(
+      previous,
+      recorded ? current + weight : current,
+      weight,
+      maxInInterval,
+      interval - elapsed,
+      interval,
+    );
+
+    return {
+      blocked,
+      blockedDueToCount: blocked,
+      blockedDueToMinDifference: false,
+      millisecondsUntilAllowed: microsecondsToMilliseconds(microsecondsUntilAllowed),
+      actionsRemaining: Math.max(0, Math.floor(maxInInterval - estimate - weight)),
+      maxInInterval,
+    };
+  }
+
+  /**
+   * Computes the RateLimitInfo with the token bucket algorithm, implemented as GCRA: the store only
+   * keeps the time at which the bucket will be full again (its "arrival time"). Each token takes
+   * `interval / maxInInterval` to refill, and an action is allowed if moving the arrival time forward
+   * by its weight in tokens leaves it at most `interval` in the future. If `addNewAction` is set,
+   * the arrival time is moved forward. `unlessBannedAt` is passed to the store, as with `getActions`.
+   */
+  protected async getTokenBucketInfo(
+    id: Id,
+    addNewAction: boolean,
+    weight: number,
+    { interval, maxInInterval }: RateLimitTier = this.tiers[0],
+    now?: Microseconds,
+    unlessBannedAt?: Microseconds,
+  ): Promise<RateLimitInfo> {
+    const store = this.getStore();
+    if (!store.getArrivalTime) {
+      throw new Error('The store does not support the token bucket algorithm');
+    }
+
+    if (now == null) now = await this.getCurrentTime();
+    const microsecondsPerToken = interval / maxInInterval;
+    const increment = weight * microsecondsPerToken;
+    const storedArrivalTime = await store.getArrivalTime(this.makeKey(id), {
+      now,
+      increment: addNewAction ? (increment as Microseconds) : undefined,
+      onlyIfWithin: this.countBlockedActions ? undefined : interval,
+      unlessBannedAt,
+    });
+
+    const arrivalTime = Math.max(storedArrivalTime || now, now);
+    const blocked = arrivalTime + increment - now > interval;
+    const recorded = addNewAction && (!blocked || this.countBlockedActions);
+    const arrivalTimeAfter = recorded ? arrivalTime + increment : arrivalTime;
+    const microsecondsUntilAllowed = Math.max(
+      0,
+      arrivalTimeAfter + increment - now - interval,
+    ) as Microseconds;
+
+    return {
+      blocked,
+      blockedDueToCount: blocked,
+      blockedDueToMinDifference: false,
+      millisecondsUntilAllowed: microsecondsToMilliseconds(microsecondsUntilAllowed),
+      actionsRemaining: Math.max(
+        0,
+        Math.floor(
+          maxInInterval - (arrivalTime + increment - now) / microsecondsPerToken,
+        ),
+      ),
+      maxInInterval,
+    };
+  }
+
+  /**
+   * Same as `getActions`, for several IDs at once. Returns the list of actions for each ID, in the
+   * same order. With `allOrNothing`, blocked actions are never stored, and the new action is only
+   * stored if every ID allows it. `tierLists` are the tiers of each ID, and IDs with different
+   * tiers than the others are sent to the store separately.
+   */
+  protected async getManyActions(
+    ids: Array<Id>,
+    addNewAction: boolean,
+    weight: number,
+    allOrNothing: boolean,
+    tierLists: Array<Array<RateLimitTier>> = ids.map(() => this.tiers),
+    now?: Microseconds,
+  ) {
+    const store = this.getStore();
+    const currentAction: Action = {
+      timestamp: now == null ? await this.getCurrentTime() : now,
+      weight,
+    };
+    // Keys are different, so every ID's action can have the same id.
+    if (addNewAction) currentAction.id = makeActionId(weight);
+    const keys = ids.map((id) => this.makeKey(id));
+    const getOptions = (tiers: Array<RateLimitTier>) => {
+      const interval = getLongestInterval(tiers);
+      return {
+        now: currentAction.timestamp,
+        clearBefore: (currentAction.timestamp - interval) as Microseconds,
+        expireAfter: interval,
+        newAction: addNewAction ? currentAction : undefined,
+        onlyIfAllowedBy: this.countBlockedActions && !allOrNothing ? undefined : tiers,
+        allOrNothing,
+      };
+    };
+    const haveSameTiers = tierLists.every((tiers) => isSameTiers(tiers, tierLists[0]));
+
+    let storedActions;
+    if (store.getManyActions && haveSameTiers) {
+      storedActions = await store.getManyActions(
+        keys,
+        getOptions(tierLists[0] || this.tiers),
+      );
+    } else if (allOrNothing) {
+      throw new Error(
+        haveSameTiers
+          ? 'The store does not support `allOrNothing`'
+          : '`allOrNothing` is only supported for IDs with the same limits',
+      );
+    } else {
+      storedActions = await Promise.all(
+        keys.map((key, i) => store.getActions(key, getOptions(tierLists[i]))),
+      );
+    }
+    return storedActions.map((actions) =>
+      addNewAction ? [...actions, currentAction] : actions,
+    );
+  }
+
+  /**
+   * Applies the penalty box, if configured, around `getInfo`, which passes `unlessBannedAt` to the
+   * store so that banned IDs are blocked, and nothing is recorded for them, in the same call.
+   * Otherwise, if `isAttempt` is set and the action is blocked, records a violation, which may get
+   * the ID banned.
+   */
+  private async withPenaltyBox(
+    id: Id,
+    isAttempt: boolean,
+    now: Microseconds,
+    tiers: Array<RateLimitTier>,
+    getInfo: (unlessBannedAt?: Microseconds) => Promise<RateLimitInfo>,
+  ): Promise<RateLimitInfo> {
+    const { penaltyBox } = this;
+    if (!penaltyBox) return getInfo();
+
+    const store = this.getPenaltyBoxStore();
+    const key = this.makeKey(id);
+    let info;
+    try {
+      info = await getInfo(now);
+    } catch (err) {
+      if (!(err instanceof KeyBannedError)) throw err;
+      const millisecondsUntilUnbanned = microsecondsToMilliseconds(
+        (err.bannedUntil - now) as Microseconds,
+      );
+      return {
+        blocked: true,
+        blockedDueToCount: false,
+        blockedDueToMinDifference: false,
+        blockedDueToBan: true,
+        millisecondsUntilAllowed: millisecondsUntilUnbanned,
+        millisecondsUntilUnbanned,
+        actionsRemaining: 0,
+        maxInInterval: Math.min(...tiers.map((tier) => tier.maxInInterval)),
+      };
+    }
+
+    const newBannedUntil =
+      isAttempt && info.blocked
+        ? await store.recordViolation(key, { ...penaltyBox, now })
+        : null;
+    if (newBannedUntil == null) {
+      return {
+        ...info,
+        blockedDueToBan: false,
+        millisecondsUntilUnbanned: 0 as Milliseconds,
+      };
+    }
+
+    const millisecondsUntilUnbanned = microsecondsToMilliseconds(
+      (newBannedUntil - now) as Microseconds,
+    );
+    return {
+      ...info,
+      blockedDueToBan: true,
+      millisecondsUntilAllowed: Math.max(
+        info.millisecondsUntilAllowed,
+        millisecondsUntilUnbanned,
+      ) as Milliseconds,
+      millisecondsUntilUnbanned,
+    };
   }
 
   /**
-   * Returns the list of timestamps of actions attempted within `interval` for the provided ID. If
-   * `addNewTimestamp` flag is set, adds a new action with the current microsecond timestamp.
+   * Runs `getInfo`, applying `storeTimeout` and the circuit breaker. If it fails, handles the error
+   * as configured by `onStoreError`. Emits `storeError` on failure, and if `isAttempt` is set,
+   * `allowed` or `blocked` with the result.
    */
-  protected async getTimestamps(
-    _id: Id,
-    _addNewTimestamp: boolean,
-  ): Promise<Array<Microseconds>> {
-    return Promise.reject(new Error('Not implemented'));
+  private async withStoreErrorHandling(
+    getInfo: () => Promise<RateLimitInfo>,
+    getFallbackInfo: (fallback: RateLimiter) => Promise<RateLimitInfo>,
+    id: Id,
+    weight: number,
+    isAttempt: boolean,
+  ): Promise<RateLimitInfo> {
+    const [info] = await this.withStoreErrorHandlingForMany(
+      async () => [await getInfo()],
+      async (fallback) => [await getFallbackInfo(fallback)],
+      [id],
+      weight,
+      isAttempt,
+    );
+    return info;
   }
 
   /**
-   * Given a list of timestamps, computes the RateLimitingInfo. The last item in the list is the
-   * timestamp of the current action.
+   * Same as `withStoreErrorHandling`, for several IDs at once.
    */
-  private calculateInfo(timestamps: Array<Microseconds>, isWould = false): RateLimitInfo {
-    const numTimestamps = timestamps.length;
-    const currentTimestamp = timestamps[numTimestamps - 1];
-    const previousTimestamp = timestamps[numTimestamps - 2];
+  private async withStoreErrorHandlingForMany(
+    getInfos: () => Promise<Array<RateLimitInfo>>,
+    getFallbackInfos: (fallback: RateLimiter) => Promise<Array<RateLimitInfo>>,
+    ids: Array<Id>,
+    weight: number,
+    isAttempt: boolean,
+  ): Promise<Array<RateLimitInfo>> {
+    const { circuitBreaker, onStoreError } = this;
+    const start = getCurrentMicroseconds();
+    let infos: Array<RateLimitInfo>;
+    try {
+      if (circuitBreaker && circuitBreaker.isOpen()) {
+        throw new Error('Circuit breaker is open, so the store was not called');
+      }
+      infos = await withTimeout(getInfos(), this.storeTimeout);
+      if (circuitBreaker) circuitBreaker.recordSuccess();
+    } catch (err) {
+      if (circuitBreaker && !circuitBreaker.isOpen()) circuitBreaker.recordFailure();
+      this.emit('storeError', {
+        limiter: this.name,
+        ids,
+        error: err,
+        storeDuration: getMillisecondsSince(start),
+      });
 
-    const blockedDueToCount = numTimestamps > this.maxInInterval;
+      if (onStoreError === 'throw') throw err;
+      if (onStoreError instanceof RateLimiter) {
+        const fallbackInfos = await getFallbackInfos(onStoreError);
+        infos = fallbackInfos.map((info) => ({ ...info, fromFallback: true }));
+      } else {
+        const blocked = onStoreError === 'block';
+        infos = ids.map(() => ({
+          blocked,
+          blockedDueToCount: false,
+          blockedDueToMinDifference: false,
+          millisecondsUntilAllowed: 0 as Milliseconds,
+          actionsRemaining: blocked ? 0 : Math.max(0, this.maxInInterval - weight),
+          maxInInterval: this.maxInInterval,
+          fromFallback: true,
+        }));
+      }
+    }
+
+    if (isAttempt) {
+      const storeDuration = getMillisecondsSince(start);
+      infos.forEach((info, i) => {
+        const event = { limiter: this.name, id: ids[i], weight, info, storeDuration };
+        this.emit(info.blocked ? 'blocked' : 'allowed', event);
+      });
+    }
+    return infos;
+  }
+
+  /**
+   * Returns how long until an action with `weight` is allowed, given the info returned by
+   * `wouldLimitWithInfo` for it. With rolling windows, that info is how long until another action
+   * would be allowed after this one, so the wait is computed from the stored actions instead.
+   */
+  private async getMillisecondsUntilAllowed(
+    id: Id,
+    weight: number,
+    info: RateLimitInfo,
+  ): Promise<Milliseconds> {
+    if (
+      this.algorithm !== 'rolling-window' ||
+      info.fromFallback ||
+      info.blockedDueToBan
+    ) {
+      return info.millisecondsUntilAllowed;
+    }
+
+    const tiers = await this.getTiers(id);
+    const now = await withTimeout(this.getCurrentTime(), this.storeTimeout);
+    const actions = await withTimeout(
+      this.getActions(id, false, weight, tiers, now),
+      this.storeTimeout,
+    );
+    const microsecondsUntilAllowed = Math.max(
+      0,
+      ...tiers.map((tier) => getMicrosecondsUntilTierAllows(tier, actions, now, weight)),
+    );
+    return microsecondsToMilliseconds(microsecondsUntilAllowed as Microseconds);
+  }
+
+  /**
+   * Returns how long `acquire` waits to try again after `previousFailures + 1` store failures in a
+   * row. The wait doubles with each failure, from 10 milliseconds up to a second, and lasts at least
+   * until the circuit breaker lets calls through again.
+   */
+  private getStoreRetryDelay(previousFailures: number): number {
+    const backoff = Math.min(10 * 2 ** previousFailures, 1000);
+    const cooldown = this.circuitBreaker ? this.circuitBreaker.getRemainingCooldown() : 0;
+    return Math.max(backoff, cooldown);
+  }
+
+  private getStore() {
+    if (!this.store) throw new Error('Must pass a store in `options.store`');
+    return this.store;
+  }
+
+  /**
+   * Returns the info for an action served from the provided ID's lease, or `null` if it has no
+   * unexpired lease with `weight` left. If `take` is set, the action uses up part of the lease.
+   */
+  private getLeasedInfo(id: Id, weight: number, take: boolean): RateLimitInfo | null {
+    const key = this.makeKey(id);
+    const lease = this.leases.get(key);
+    if (!lease) return null;
+    if (lease.expiresAt <= getCurrentMicroseconds()) {
+      this.leases.delete(key);
+      return null;
+    }
+    if (lease.remaining < weight) return null;
+
+    if (take) lease.remaining -= weight;
+    return {
+      blocked: false,
+      blockedDueToCount: false,
+      blockedDueToMinDifference: false,
+      millisecondsUntilAllowed: 0 as Milliseconds,
+      actionsRemaining: lease.storeRemaining + lease.remaining - (take ? 0 : weight),
+      maxInInterval: lease.maxInInterval,
+      fromLease: true,
+    };
+  }
+
+  /**
+   * Records a single action with the weight of a whole lease, if the ID has that much left, and
+   * keeps what this action does not use for later actions in this process. Otherwise, records just
+   * this action, as without a lease.
+   */
+  private async takeLease(
+    id: Id,
+    weight: number,
+    tiers: Array<RateLimitTier>,
+    now: Microseconds,
+  ): Promise<RateLimitInfo> {
+    const { lease } = this;
+    const size = lease ? Math.max(lease.size, weight) : weight;
+    // Per-ID limits may have a `minDifference`, which a lease cannot enforce.
+    if (lease && size > weight && tiers.every((tier) => tier.minDifference === 0)) {
+      const leaseAction = { timestamp: now, weight: size };
+      const interval = getLongestInterval(tiers);
+      const storedActions = await this.getStore().getActions(this.makeKey(id), {
+        now,
+        clearBefore: (now - interval) as Microseconds,
+        expireAfter: interval,
+        newAction: leaseAction,
+        onlyIfAllowedBy: tiers,
+      });
+      const info = this.calculateInfo([...storedActions, leaseAction], false, tiers);
+      if (!info.blocked) {
+        const key = this.makeKey(id);
+        const localNow = getCurrentMicroseconds();
+        // Every lease lasts as long, so re-inserting keeps the map ordered by expiry, and expired
+        // leases can be dropped from the start.
+        this.leases.delete(key);
+        this.leases.set(key, {
+          remaining: size - weight,
+          storeRemaining: info.actionsRemaining,
+          maxInInterval: info.maxInInterval,
+          expiresAt: ((localNow as number) + (lease.ttl as number)) as Microseconds,
+        });
+        for (const [leasedKey, entry] of this.leases) {
+          if (entry.expiresAt > localNow) break;
+          this.leases.delete(leasedKey);
+        }
+        this.leaseStats.leases++;
+        return { ...info, actionsRemaining: info.actionsRemaining + size - weight };
+      }
+    }
+
+    const actions = await this.getActions(id, true, weight, tiers, now);
+    return withToken(
+      this.calculateInfo(actions, false, tiers),
+      actions[actions.length - 1],
+    );
+  }
+
+  private getPenaltyBoxStore() {
+    const store = this.getStore();
+    assert(this.penaltyBox, 'Must set `options.penaltyBox` to ban IDs');
+    if (!store.recordViolation || !store.unban) {
+      throw new Error('The store does not support `penaltyBox`');
+    }
+    return store as Required<Pick<RateLimitStore, 'recordViolation' | 'unban'>>;
+  }
+
+  private getLimitOverrideStore() {
+    const store = this.getStore();
+    assert(
+      this.limitOverrides,
+      'Must set `options.limitOverrides` to use per-ID overrides',
+    );
+    if (!store.getLimitOverride || !store.setLimitOverride || !store.clearLimitOverride) {
+      throw new Error('The store does not support per-ID overrides');
+    }
+    return store as Required<
+      Pick<RateLimitStore, 'getLimitOverride' | 'setLimitOverride' | 'clearLimitOverride'>
+    >;
+  }
+
+  /**
+   * Validates limits for a single ID, and converts them to a tier. Options that are left out
+   * default to the limiter's own.
+   */
+  private makeTierForId(limits: LimitsForId) {
+    const tier = makeTier({ ...this.defaultLimits, ...limits });
+    assertSupportedTier(tier, this.algorithm);
+    return tier;
+  }
+
+  /**
+   * Given a list of actions, computes the RateLimitingInfo for all tiers, which default to the
+   * limiter's own. The last item in the list is the current action.
+   */
+  protected calculateInfo(
+    actions: Array<Action>,
+    isWould = false,
+    tiers: Array<RateLimitTier> = this.tiers,
+  ): RateLimitInfo {
+    if (tiers.length === 1) {
+      return this.calculateTierInfo(tiers[0], actions, isWould);
+    }
+
+    const currentTimestamp = actions[actions.length - 1].timestamp;
+    const tierInfos = tiers.map((tier) =>
+      this.calculateTierInfo(
+        tier,
+        actions.filter((a) => a.timestamp > currentTimestamp - tier.interval),
+        isWould,
+      ),
+    );
+    const blockedByTier = tierInfos.findIndex((info) => info.blocked);
+    const actionsRemaining = Math.min(...tierInfos.map((info) => info.actionsRemaining));
+    const limitingTier =
+      blockedByTier === -1
+        ? tierInfos.findIndex((info) => info.actionsRemaining === actionsRemaining)
+        : blockedByTier;
+
+    return {
+      blocked: blockedByTier !== -1,
+      blockedDueToCount: tierInfos.some((info) => info.blockedDueToCount),
+      blockedDueToMinDifference: tierInfos.some((info) => info.blockedDueToMinDifference),
+      millisecondsUntilAllowed: Math.max(
+        ...tierInfos.map((info) => info.millisecondsUntilAllowed),
+      ) as Milliseconds,
+      actionsRemaining,
+      maxInInterval: tiers[limitingTier].maxInInterval,
+      blockedByTier: blockedByTier === -1 ? null : blockedByTier,
+    };
+  }
+
+  /**
+   * Given a list of actions within the tier's interval, computes the RateLimitingInfo for that
+   * tier. The last item in the list is the current action.
+   */
+  protected calculateTierInfo(
+    tier: RateLimitTier,
+    actions: Array<Action>,
+    isWould = false,
+  ): RateLimitInfo {
+    const numActions = actions.length;
+    const currentAction = actions[numActions - 1];
+    const previousAction = actions[numActions - 2];
+    const totalWeight = sumWeights(actions);
+
+    const blockedDueToCount = totalWeight > tier.maxInInterval;
     const blockedDueToMinDifference =
-      previousTimestamp != null && 
+      previousAction != null &&
       // Only performs the check for positive `minDifference` values. The `currentTimestamp`
-      // created by `wouldLimit` may possibly be smaller than `previousTimestamp` in a distributed 
+      // created by `wouldLimit` may possibly be smaller than `previousTimestamp` in a distributed
       // environment.
-      this.minDifference > 0 &&
-      currentTimestamp - previousTimestamp < this.minDifference;
+      tier.minDifference > 0 &&
+      currentAction.timestamp - previousAction.timestamp < tier.minDifference;
 
     const blocked = blockedDueToCount || blockedDueToMinDifference;
 
+    // Find how many of the oldest actions need to clear before another action with the same weight
+    // as the current one fits within `maxInInterval`.
+    let remainingWeight = totalWeight;
+    let numActionsToClear = 0;
+    while (
+      numActionsToClear < numActions &&
+      remainingWeight + currentAction.weight > tier.maxInInterval
+    ) {
+      remainingWeight -= actions[numActionsToClear].weight;
+      numActionsToClear++;
+    }
+    const unblockingAction = actions[Math.max(0, numActionsToClear - 1)];
+
     // Always need to wait at least minDistance between consecutive actions.
     // If maxInInterval has been reached, also check how long will be required
     // until the interval is not full anymore.
     const microsecondsUntilUnblocked =
-      numTimestamps >= this.maxInInterval
-        ? (timestamps[Math.max(0, numTimestamps - this.maxInInterval)] as number) -
-          (currentTimestamp as number) +
-          (this.interval as number)
+      numActionsToClear > 0
+        ? (unblockingAction.timestamp as number) -
+          (currentAction.timestamp as number) +
+          (tier.interval as number)
         : 0;
 
     const microsecondsUntilAllowed = Math.max(
-      this.minDifference,
+      tier.minDifference,
       microsecondsUntilUnblocked,
     ) as Microseconds;
 
-	
-	if (isWould) {
-		return {
-			blocked,
-			blockedDueToCount,
-			blockedDueToMinDifference,
-			millisecondsUntilAllowed: microsecondsToMilliseconds((timestamps[Math.max(0, numTimestamps - this.maxInInterval)] as number) - (currentTimestamp as number) + (this.interval as number) as Microseconds),
-			actionsRemaining: Math.max(0, this.maxInInterval - numTimestamps),
-		};
-	}
+    if (isWould) {
+      return {
+        blocked,
+        blockedDueToCount,
+        blockedDueToMinDifference,
+        millisecondsUntilAllowed: microsecondsToMilliseconds(
+          ((unblockingAction.timestamp as number) -
+            (currentAction.timestamp as number) +
+            (tier.interval as number)) as Microseconds,
+        ),
+        actionsRemaining: Math.max(0, tier.maxInInterval - totalWeight),
+        maxInInterval: tier.maxInInterval,
+      };
+    }
 
     return {
       blocked,
       blockedDueToCount,
       blockedDueToMinDifference,
       millisecondsUntilAllowed: microsecondsToMilliseconds(microsecondsUntilAllowed),
-      actionsRemaining: Math.max(0, this.maxInInterval - numTimestamps),
+      actionsRemaining: Math.max(0, tier.maxInInterval - totalWeight),
+      maxInInterval: tier.maxInInterval,
     };
   }
 }
 
+interface InMemoryRateLimiterOptions extends RateLimiterOptions, InMemoryStoreOptions {
+  snapshotPath?: string;
+  snapshotInterval?: number;
+}
+
 /**
- * Rate limiter implementation that uses an object stored in memory for storage.
+ * Rate limiter implementation that uses an object stored in memory for storage. If `snapshotPath`
+ * is set, its state is saved to that file every `snapshotInterval` milliseconds and when it is
+ * disposed, and `loadSnapshot` restores it after a restart.
  */
 export class InMemoryRateLimiter extends RateLimiter {
-  storage: Record<Id, Array<number> | undefined>;
-  ttls: Record<Id, NodeJS.Timeout | undefined>;
+  declare store: InMemoryStore;
+  snapshotPath: string | undefined;
+  private snapshotTimer: NodeJS.Timeout | null;
+  private snapshotQueue: Promise<unknown>;
 
-  constructor(options: RateLimiterOptions) {
-    super(options);
-    this.storage = {};
-    this.ttls = {};
+  constructor({
+    maxKeys,
+    sweepInterval,
+    snapshotPath,
+    snapshotInterval = 60000,
+    ...options
+  }: InMemoryRateLimiterOptions) {
+    assert(snapshotInterval > 0, '`options.snapshotInterval` must be a positive number');
+    super({ ...options, store: new InMemoryStore({ maxKeys, sweepInterval }) });
+    this.snapshotPath = snapshotPath;
+    this.snapshotTimer = null;
+    this.snapshotQueue = Promise.resolve();
+    if (snapshotPath) {
+      this.snapshotTimer = setInterval(() => {
+        this.saveSnapshot().catch((error: unknown) => {
+          this.emit('snapshotError', { limiter: this.name, path: snapshotPath, error });
+        });
+      }, snapshotInterval);
+      if (this.snapshotTimer.unref) this.snapshotTimer.unref();
+    }
   }
 
-  async clear(id: Id) {
-    delete this.storage[id];
-    const ttl = this.ttls[id];
-    if (ttl) {
-      clearTimeout(ttl);
-      delete this.ttls[id];
-    }
+  /**
+   * Returns the limiter's state, which only contains JSON values, and can be passed to
+   * `importState`.
+   */
+  async exportState(): Promise<InMemoryStoreState> {
+    return this.store.exportState(await this.getCurrentTime());
   }
 
-  protected async getTimestamps(id: Id, addNewTimestamp: boolean) {
-    const currentTimestamp = getCurrentMicroseconds();
-    // Update the stored timestamps, including filtering out old ones, and adding the new one.
-    const clearBefore = currentTimestamp - this.interval;
-    const storedTimestamps = (this.storage[id] || []).filter((t) => t > clearBefore);
+  /**
+   * Adds the state returned by `exportState`, replacing the state of IDs that are in both. IDs
+   * whose state has already expired are skipped. Returns how many keys were imported.
+   */
+  async importState(state: InMemoryStoreState): Promise<number> {
+    return this.store.importState(state, await this.getCurrentTime());
+  }
 
-    if (addNewTimestamp) {
-      storedTimestamps.push(currentTimestamp);
+  /**
+   * Saves the limiter's state to `snapshotPath`. The file is replaced atomically, so it is never
+   * left partially written.
+   */
+  async saveSnapshot(): Promise<void> {
+    const { snapshotPath } = this;
+    assert(snapshotPath, '`saveSnapshot` needs the `snapshotPath` option');
+    // Saves are queued, since they share a temporary file.
+    const saved = this.snapshotQueue.then(async () => {
+      await writeFileAtomically(snapshotPath, JSON.stringify(await this.exportState()));
+    });
+    this.snapshotQueue = saved.catch(() => undefined);
+    return saved;
+  }
 
-      // Set a new TTL, and cancel the old one, if present.
-      const ttl = this.ttls[id];
-      if (ttl) clearTimeout(ttl);
-      this.ttls[id] = setTimeout(() => {
-        delete this.storage[id];
-        delete this.ttls[id];
-      }, microsecondsToMilliseconds(this.interval));
+  /**
+   * Restores the state saved to `snapshotPath`, if the file exists. Returns how many keys were
+   * imported.
+   */
+  async loadSnapshot(): Promise<number> {
+    const { snapshotPath } = this;
+    assert(snapshotPath, '`loadSnapshot` needs the `snapshotPath` option');
+    let contents;
+    try {
+      contents = await fs.readFile(snapshotPath, 'utf8');
+    } catch (err) {
+      if ((err as NodeJS.ErrnoException).code === 'ENOENT') return 0;
+      throw err;
     }
+    return this.importState(JSON.parse(contents) as InMemoryStoreState);
+  }
 
-    // Return the new stored timestamps.
-    this.storage[id] = storedTimestamps;
-    return storedTimestamps as Array<Microseconds>;
+  /**
+   * Stops saving snapshots, and saves a last one, before releasing the store.
+   */
+  async dispose(): Promise<void> {
+    if (this.snapshotTimer) {
+      clearInterval(this.snapshotTimer);
+      this.snapshotTimer = null;
+      await this.saveSnapshot();
+    }
+    await super.dispose();
   }
 }
 
+interface RedisRateLimiterOptions extends RateLimiterOptions {
+  client: RedisClient;
+  namespace: string;
+  serverTime?: boolean;
+}
+
 /**
- * Minimal interface of a Redis client needed for algorithm.
- * Ideally, this would be `RedisClient | IORedisClient`, but that would force consumers of this
- * library to have `@types/redis` and `@types/ioredis` to be installed.
+ * Rate limiter implementation that uses Redis for storage. If `serverTime` is set, the Redis
+ * server's clock is used for stored state instead of this host's, read in the same scripts.
  */
-interface RedisClient {
-  del(...args: Array<string>): unknown;
-  multi(): RedisBatch;
+export class RedisRateLimiter extends RateLimiter {
+  declare store: RedisStore;
+  client: RedisClient;
+
+  constructor({ client, serverTime = false, ...baseOptions }: RedisRateLimiterOptions) {
+    assert(
+      !serverTime || !baseOptions.clock,
+      'Cannot pass both `serverTime` and `clock`',
+    );
+    super({ ...baseOptions, store: new RedisStore({ client, serverTime }) });
+    this.client = client;
+  }
 }
 
-/** Minimal interface of a Redis batch command needed for algorithm. */
-interface RedisBatch {
-  zremrangebyscore(key: string, min: number, max: number): void;
-  zadd(key: string, score: string | number, value: string): void;
-  zrange(key: string, min: number, max: number, withScores: unknown): void;
-  expire(key: string, time: number): void;
-  exec(cb: (err: Error | null, result: Array<unknown>) => void): void;
+interface InMemoryMultiTierRateLimiterOptions
+  extends MultiTierRateLimiterOptions,
+    InMemoryStoreOptions {}
+
+/**
+ * Rate limiter that enforces several tiers at once (for example, 10 per second and 1000 per hour),
+ * using in-memory storage. An action is only recorded if every tier allows it.
+ */
+export class InMemoryMultiTierRateLimiter extends InMemoryRateLimiter {
+  constructor({ tiers, ...options }: InMemoryMultiTierRateLimiterOptions) {
+    super({ ...options, ...getLongestTier(tiers), countBlockedActions: false });
+    this.tiers = tiers.map(makeTier);
+  }
 }
 
-interface RedisRateLimiterOptions extends RateLimiterOptions {
+interface RedisMultiTierRateLimiterOptions extends MultiTierRateLimiterOptions {
   client: RedisClient;
   namespace: string;
+  serverTime?: boolean;
 }
 
 /**
- * Rate limiter implementation that uses Redis for storage.
+ * Rate limiter that enforces several tiers at once (for example, 10 per second and 1000 per hour),
+ * using Redis for storage. All tiers are checked, and the action is recorded only if every tier
+ * allows it, in a single atomic script.
  */
-export class RedisRateLimiter extends RateLimiter {
-  client: RedisClient;
-  namespace: string;
-  ttl: number;
+export class RedisMultiTierRateLimiter extends RedisRateLimiter {
+  constructor({ tiers, ...redisOptions }: RedisMultiTierRateLimiterOptions) {
+    super({ ...redisOptions, ...getLongestTier(tiers), countBlockedActions: false });
+    this.tiers = tiers.map(makeTier);
+  }
+}
 
-  constructor({ client, namespace, ...baseOptions }: RedisRateLimiterOptions) {
-    super(baseOptions);
-    this.ttl = microsecondsToSeconds(this.interval);
-    this.client = client;
-    this.namespace = namespace;
+/**
+ * Rate limiter that allows bursts of up to `capacity` actions, and refills at a steady
+ * `refillRatePerSecond`, using the token bucket algorithm. Stores its state in the provided
+ * `store`. Blocked actions never use up tokens.
+ */
+export class TokenBucketRateLimiter extends RateLimiter {
+  constructor({
+    capacity,
+    refillRatePerSecond,
+    ...options
+  }: TokenBucketRateLimiterOptions) {
+    super({
+      ...options,
+      ...getTokenBucketTier(capacity, refillRatePerSecond),
+      algorithm: 'token-bucket',
+      countBlockedActions: false,
+    });
   }
+}
 
-  makeKey(id: Id): string {
-    return `${this.namespace}${id}`;
+interface InMemoryTokenBucketRateLimiterOptions
+  extends TokenBucketRateLimiterOptions,
+    InMemoryStoreOptions {}
+
+/**
+ * Token bucket rate limiter that uses in-memory storage.
+ */
+export class InMemoryTokenBucketRateLimiter extends InMemoryRateLimiter {
+  constructor({
+    capacity,
+    refillRatePerSecond,
+    ...options
+  }: InMemoryTokenBucketRateLimiterOptions) {
+    super({
+      ...options,
+      ...getTokenBucketTier(capacity, refillRatePerSecond),
+      algorithm: 'token-bucket',
+      countBlockedActions: false,
+    });
   }
+}
 
-  async clear(id: Id) {
-    const key = this.makeKey(id);
-    await this.client.del(key);
+interface RedisTokenBucketRateLimiterOptions extends TokenBucketRateLimiterOptions {
+  client: RedisClient;
+  namespace: string;
+  serverTime?: boolean;
+}
+
+/**
+ * Token bucket rate limiter that uses Redis for storage. Each check is a single atomic script.
+ */
+export class RedisTokenBucketRateLimiter extends RedisRateLimiter {
+  constructor({
+    capacity,
+    refillRatePerSecond,
+    ...redisOptions
+  }: RedisTokenBucketRateLimiterOptions) {
+    super({
+      ...redisOptions,
+      ...getTokenBucketTier(capacity, refillRatePerSecond),
+      algorithm: 'token-bucket',
+      countBlockedActions: false,
+    });
   }
+}
 
-  protected async getTimestamps(
-    id: Id,
-    addNewTimestamp: boolean,
-  ): Promise<Array<Microseconds>> {
-    const now = getCurrentMicroseconds();
-    const key = this.makeKey(id);
-    const clearBefore = now - this.interval;
+function makeTier({
+  interval,
+  maxInInterval,
+  minDifference = 0,
+}: RateLimitTierOptions): RateLimitTier {
+  assert(interval > 0, 'Must pass a positive integer for `options.interval`');
+  assert(maxInInterval > 0, 'Must pass a positive integer for `options.maxInInterval`');
+  assert(minDifference >= 0, '`options.minDifference` cannot be negative');
 
-    const batch = this.client.multi();
-    batch.zremrangebyscore(key, 0, clearBefore);
-    if (addNewTimestamp) {
-      batch.zadd(key, String(now), uuid());
-    }
-    batch.zrange(key, 0, -1, 'WITHSCORES');
-    batch.expire(key, this.ttl);
+  return {
+    interval: millisecondsToMicroseconds(interval as Milliseconds),
+    maxInInterval,
+    minDifference: millisecondsToMicroseconds(minDifference as Milliseconds),
+  };
+}
 
-    return new Promise((resolve, reject) => {
-      batch.exec((err, result) => {
-        if (err) return reject(err);
+function makePenaltyBox({
+  maxViolations,
+  window,
+  banDuration,
+  maxBanDuration = banDuration,
+  forgetAfter = 24 * 60 * 60 * 1000,
+}: PenaltyBoxOptions): Omit<RecordViolationOptions, 'now'> {
+  assert(
+    maxViolations > 0,
+    'Must pass a positive number for `options.penaltyBox.maxViolations`',
+  );
+  assert(window > 0, 'Must pass a positive number for `options.penaltyBox.window`');
+  assert(
+    banDuration > 0,
+    'Must pass a positive number for `options.penaltyBox.banDuration`',
+  );
+  assert(
+    maxBanDuration >= banDuration,
+    '`options.penaltyBox.maxBanDuration` cannot be less than `banDuration`',
+  );
+  assert(forgetAfter >= 0, '`options.penaltyBox.forgetAfter` cannot be negative');
 
-        const zRangeOutput = (addNewTimestamp ? result[2] : result[1]) as Array<unknown>;
-        const zRangeResult = this.getZRangeResult(zRangeOutput);
-        const timestamps = this.extractTimestampsFromZRangeResult(zRangeResult);
-        return resolve(timestamps);
-      });
-    });
+  return {
+    maxViolations,
+    window: millisecondsToMicroseconds(window as Milliseconds),
+    banDuration: millisecondsToMicroseconds(banDuration as Milliseconds),
+    maxBanDuration: millisecondsToMicroseconds(maxBanDuration as Milliseconds),
+    forgetAfter: millisecondsToMicroseconds(forgetAfter as Milliseconds),
+  };
+}
+
+/**
+ * Returns a new action id. It ends with the weight, so that `commit` can tell the weight of an
+ * action from its token, and Redis can use it as the action's sorted set member.
+ */
+function makeActionId(weight: number) {
+  return `${uuid()}:${weight}`;
+}
+
+/**
+ * Returns the weight of the action with the provided token. Tokens are the action ids made by
+ * `makeActionId`, a uuid and the weight separated by a colon, so anything else is rejected.
+ */
+function getTokenWeight(token: string) {
+  const match = /^[0-9a-f]{8}(?:-[0-9a-f]{4}){3}-[0-9a-f]{12}:(.+)$/.exec(token);
+  const weight = match ? Number(match[1]) : NaN;
+  assert(match && String(weight) === match[1] && weight > 0, `Invalid token: ${token}`);
+  return weight;
+}
+
+/**
+ * Adds the id of the action to the info as its token, if the action was allowed.
+ */
+function withToken(info: RateLimitInfo, action: Action): RateLimitInfo {
+  return info.blocked ? info : { ...info, token: action.id };
+}
+
+function assertSupportedTier(tier: RateLimitTier, algorithm: RateLimitAlgorithm) {
+  assert(
+    algorithm === 'rolling-window' || tier.minDifference === 0,
+    '`options.minDifference` is only supported by the rolling window algorithm',
+  );
+}
+
+/**
+ * Returns the longest interval of the tiers, which determines how long actions are stored.
+ */
+function getLongestInterval(tiers: Array<RateLimitTier>) {
+  return Math.max(...tiers.map((tier) => tier.interval)) as Microseconds;
+}
+
+function isSameTiers(a: Array<RateLimitTier>, b: Array<RateLimitTier>) {
+  return (
+    a.length === b.length &&
+    a.every(
+      (tier, i) =>
+        tier.interval === b[i].interval &&
+        tier.maxInInterval === b[i].maxInInterval &&
+        tier.minDifference === b[i].minDifference,
+    )
+  );
+}
+
+/**
+ * Returns the tier with the longest interval, which determines how long actions are stored.
+ */
+function getLongestTier(tiers: Array<RateLimitTierOptions>) {
+  assert(tiers && tiers.length > 0, 'Must pass at least one tier in `options.tiers`');
+  return tiers.reduce((longest, tier) =>
+    tier.interval > longest.interval ? tier : longest,
+  );
+}
+
+/**
+ * Converts token bucket options to the equivalent tier: `capacity` tokens per the time it takes to
+ * refill the whole bucket.
+ */
+function getTokenBucketTier(
+  capacity: number,
+  refillRatePerSecond: number,
+): RateLimitTierOptions {
+  assert(capacity > 0, 'Must pass a positive number for `options.capacity`');
+  assert(
+    refillRatePerSecond > 0,
+    'Must pass a positive number for `options.refillRatePerSecond`',
+  );
+  return { interval: (capacity / refillRatePerSecond) * 1000, maxInInterval: capacity };
+}
+
+/**
+ * Rejects if `promise` does not settle within `timeout` milliseconds, if one is provided.
+ */
+function withTimeout<T>(
+  promise: Promise<T>,
+  timeout: Milliseconds | undefined,
+): Promise<T> {
+  if (timeout == null) return promise;
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(
+      () => reject(new Error(`Store did not respond within ${timeout}ms`)),
+      timeout,
+    );
+    promise.then(
+      (value) => {
+        clearTimeout(timer);
+        resolve(value);
+      },
+      (err) => {
+        clearTimeout(timer);
+        reject(err);
+      },
+    );
+  });
+}
+
+/**
+ * Returns how long until an action with `weight` fits within `maxInInterval`, given the counts of
+ * the previous and current windows, and how long is left of the current window. The previous
+ * window's count decays linearly until the current window ends, and then the current window's
+ * count starts decaying in turn.
+ */
+function getMicrosecondsUntilCounterAllows(
+  previous: number,
+  current: number,
+  weight: number,
+  maxInInterval: number,
+  remainingInWindow: number,
+  interval: Microseconds,
+): Microseconds {
+  // Fraction of the interval that has to pass before `count` decays enough to leave `room`.
+  const getDecayNeeded = (count: number, room: number) =>
+    count > room ? 1 - room / count : 0;
+
+  if (current + weight <= maxInInterval) {
+    const untilRoom =
+      interval * getDecayNeeded(previous, maxInInterval - current - weight);
+    return Math.max(0, untilRoom - (interval - remainingInWindow)) as Microseconds;
   }
+  const untilRoom = interval * getDecayNeeded(current, maxInInterval - weight);
+  return (remainingInWindow + untilRoom) as Microseconds;
+}
 
-  private getZRangeResult(zRangeOutput: Array<unknown>) {
-    if (!Array.isArray(zRangeOutput[1])) {
-      // Standard redis client, regular mode.
-      return zRangeOutput as Array<string>;
-    } else {
-      // ioredis client.
-      return zRangeOutput[1] as Array<string>;
-    }
+/**
+ * Returns how long until `tier` allows an action with `weight`, given the stored actions, oldest
+ * first. Actions leave the tier once `interval` has passed since them.
+ */
+function getMicrosecondsUntilTierAllows(
+  tier: RateLimitTier,
+  storedActions: Array<Action>,
+  now: Microseconds,
+  weight: number,
+) {
+  const actions = storedActions.filter((a) => a.timestamp > now - tier.interval);
+  let remainingWeight = sumWeights(actions);
+  let microsecondsUntilAllowed = 0;
+  for (const action of actions) {
+    if (remainingWeight + weight <= tier.maxInInterval) break;
+    remainingWeight -= action.weight;
+    microsecondsUntilAllowed =
+      (action.timestamp as number) + (tier.interval as number) - now;
   }
 
-  private extractTimestampsFromZRangeResult(zRangeResult: Array<string>) {
-    // We only want the stored timestamps, which are the values, or the odd indexes.
-    // Map to numbers because by default all returned values are strings.
-    return zRangeResult.filter((e, i) => i % 2).map(Number) as Array<Microseconds>;
+  const previousAction = actions[actions.length - 1];
+  if (previousAction && tier.minDifference > 0) {
+    microsecondsUntilAllowed = Math.max(
+      microsecondsUntilAllowed,
+      (previousAction.timestamp as number) + (tier.minDifference as number) - now,
+    );
   }
+  return microsecondsUntilAllowed;
 }
 
-export function getCurrentMicroseconds() {
-  return microtime.now() as Microseconds;
-}
+/**
+ * Tracks when `acquire` should give up: once `timeoutMs` has passed, or `signal` is aborted.
+ * Waiting through `wait` or `sleep` rejects as soon as that happens.
+ */
+function createWaiter(
+  timeoutMs: number | undefined,
+  signal: AbortSignalLike | undefined,
+) {
+  let reason: Error | null = null;
+  let wake = () => {};
+  const stop = (err: Error) => {
+    if (reason) return;
+    reason = err;
+    wake();
+  };
+
+  const timer =
+    timeoutMs == null
+      ? null
+      : setTimeout(
+          () => stop(new Error(`Action was not allowed within ${timeoutMs}ms`)),
+          timeoutMs,
+        );
+  const onAbort = () => stop(new Error('Waiting for the rate limiter was aborted'));
+  if (signal && signal.aborted) onAbort();
+  if (signal) signal.addEventListener('abort', onAbort);
 
-export function millisecondsToMicroseconds(milliseconds: Milliseconds) {
-  return (1000 * milliseconds) as Microseconds;
+  const waiter = {
+    throwIfStopped() {
+      if (reason) throw reason;
+    },
+
+    wait<T>(promise: Promise<T>): Promise<T> {
+      return new Promise((resolve, reject) => {
+        if (reason) {
+          reject(reason);
+          return;
+        }
+        wake = () => reject(reason);
+        promise.then(resolve, reject);
+      });
+    },
+
+    async sleep(milliseconds: number) {
+      let sleepTimer;
+      try {
+        await waiter.wait(
+          new Promise((resolve) => (sleepTimer = setTimeout(resolve, milliseconds))),
+        );
+      } finally {
+        clearTimeout(sleepTimer);
+      }
+    },
+
+    dispose() {
+      if (timer) clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    },
+  };
+  return waiter;
 }
 
-export function microsecondsToMilliseconds(microseconds: Microseconds) {
-  return Math.ceil(microseconds / 1000) as Milliseconds;
+/**
+ * Returns the time since `start`, in (fractional) milliseconds.
+ */
+function getMillisecondsSince(start: Microseconds) {
+  return (getCurrentMicroseconds() - start) / 1000;
 }
 
-export function microsecondsToSeconds(microseconds: Microseconds) {
-  return Math.ceil(microseconds / 1000 / 1000) as Seconds;
+function assertValidWeight(weight: number) {
+  assert(weight > 0, '`weight` must be a positive number');
 }
+
+export * from './circuitBreaker';
+export * from './fileStore';
+export * from './metrics';
+export * from './middleware';
+export * from './migrate';
+export * from './redisCluster';
+export * from './shardedStore';
+export * from './sqlStore';
+export * from './stores';
+export * from './time';
@@ -0,0 +1,90 @@
+import microtime from 'microtime';
+
+import { RateLimiter, RateLimitMetrics, RateLimitStore } from '.';
+
+describe('RateLimitMetrics', () => {
+  // The store takes 2ms to respond, and fails if `failing` is set.
+  let now: number;
+  let failing: boolean;
+  const store: RateLimitStore = {
+    async getActions() {
+      now += 2000;
+      if (failing) throw new Error('Store is down');
+      return [];
+    },
+    async clear() {},
+  };
+
+  beforeEach(() => {
+    now = 1000000;
+    failing = false;
+    jest.spyOn(microtime, 'now').mockImplementation(() => now);
+  });
+
+  function createLimiter(name: string) {
+    return new RateLimiter({
+      name,
+      store,
+      interval: 10000,
+      maxInInterval: 1,
+      onStoreError: 'allow',
+    });
+  }
+
+  it('renders counters and histograms by limiter, in the Prometheus text format', async () => {
+    const metrics = new RateLimitMetrics({ buckets: [0.001, 0.01] });
+    const limiter = createLimiter('api');
+    metrics.observe(limiter);
+
+    await limiter.limit(1);
+    await limiter.limit(1, 2);
+    await limiter.wouldLimit(1);
+    await limiter.clear(1);
+    failing = true;
+    await limiter.limit(1);
+
+    expect(metrics.render()).toBe(
+      [
+        '# HELP rate_limiter_decisions_total Attempted actions, by whether they were allowed or blocked.',
+        '# TYPE rate_limiter_decisions_total counter',
+        'rate_limiter_decisions_total{limiter="api",decision="allowed"} 2',
+        'rate_limiter_decisions_total{limiter="api",decision="blocked"} 1',
+        '# HELP rate_limiter_blocked_total Blocked actions, by the reason they were blocked.',
+        '# TYPE rate_limiter_blocked_total counter',
+        'rate_limiter_blocked_total{limiter="api",reason="count"} 1',
+        '# HELP rate_limiter_clears_total Calls that cleared rate limiting state.',
+        '# TYPE rate_limiter_clears_total counter',
+        'rate_limiter_clears_total{limiter="api"} 1',
+        '# HELP rate_limiter_store_errors_total Store calls that failed or timed out.',
+        '# TYPE rate_limiter_store_errors_total counter',
+        'rate_limiter_store_errors_total{limiter="api"} 1',
+        '# HELP rate_limiter_store_duration_seconds How long store calls took, including failed ones.',
+        '# TYPE rate_limiter_store_duration_seconds histogram',
+        'rate_limiter_store_duration_seconds_bucket{limiter="api",le="0.001"} 0',
+        'rate_limiter_store_duration_seconds_bucket{limiter="api",le="0.01"} 3',
+        'rate_limiter_store_duration_seconds_bucket{limiter="api",le="+Inf"} 3',
+        'rate_limiter_store_duration_seconds_sum{limiter="api"} 0.006',
+        'rate_limiter_store_duration_seconds_count{limiter="api"} 3',
+        '',
+      ].join('\n'),
+    );
+  });
+
+  it('stops recording once unsubscribed, and escapes label values', async () => {
+    const metrics = new RateLimitMetrics({ prefix: 'app_limiter' });
+    const limiter = createLimiter('say "hi"\\n');
+    const unsubscribe = metrics.observe(limiter);
+
+    await limiter.limit(1);
+    unsubscribe();
+    await limiter.limit(1);
+
+    expect(metrics.render()).toContain(
+      'app_limiter_decisions_total{limiter="say \\"hi\\"\\\\n",decision="allowed"} 1\n',
+    );
+    expect(metrics.render()).not.toContain('decision="blocked"');
+
+    metrics.reset();
+    expect(metrics.render()).not.toContain('app_limiter_decisions_total{');
+  });
+});
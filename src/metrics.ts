@@ -0,0 +1,227 @@
+import {
+  RateLimiter,
+  RateLimitClearedEvent,
+  RateLimitDecisionEvent,
+  RateLimitStoreErrorEvent,
+} from '.';
+
+export interface RateLimitMetricsOptions {
+  prefix?: string;
+  buckets?: Array<number>;
+}
+
+type Labels = Record<string, string>;
+
+/**
+ * Keeps counters and histograms for the events of any number of rate limiters, labelled by limiter
+ * name, and renders them in the Prometheus text exposition format. Subscribe limiters with
+ * `observe`, and serve `render()` from a metrics endpoint.
+ */
+export class RateLimitMetrics {
+  prefix: string;
+  buckets: Array<number>;
+  private decisions: Counter;
+  private blockedReasons: Counter;
+  private clears: Counter;
+  private storeErrors: Counter;
+  private storeDurations: Histogram;
+
+  constructor({
+    prefix = 'rate_limiter',
+    buckets = [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1],
+  }: RateLimitMetricsOptions = {}) {
+    this.prefix = prefix;
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this.decisions = new Counter(
+      `${prefix}_decisions_total`,
+      'Attempted actions, by whether they were allowed or blocked.',
+    );
+    this.blockedReasons = new Counter(
+      `${prefix}_blocked_total`,
+      'Blocked actions, by the reason they were blocked.',
+    );
+    this.clears = new Counter(
+      `${prefix}_clears_total`,
+      'Calls that cleared rate limiting state.',
+    );
+    this.storeErrors = new Counter(
+      `${prefix}_store_errors_total`,
+      'Store calls that failed or timed out.',
+    );
+    this.storeDurations = new Histogram(
+      `${prefix}_store_duration_seconds`,
+      'How long store calls took, including failed ones.',
+      this.buckets,
+    );
+  }
+
+  /**
+   * Starts recording the limiter's events. Returns a function that stops recording them.
+   */
+  observe(limiter: RateLimiter): () => void {
+    const onDecision = (event: RateLimitDecisionEvent) => this.recordDecision(event);
+    const onCleared = (event: RateLimitClearedEvent) =>
+      this.clears.inc({ limiter: event.limiter });
+    const onStoreError = (event: RateLimitStoreErrorEvent) => {
+      this.storeErrors.inc({ limiter: event.limiter });
+      this.storeDurations.observe({ limiter: event.limiter }, event.storeDuration / 1000);
+    };
+
+    limiter.on('allowed', onDecision);
+    limiter.on('blocked', onDecision);
+    limiter.on('cleared', onCleared);
+    limiter.on('storeError', onStoreError);
+    return () => {
+      limiter.off('allowed', onDecision);
+      limiter.off('blocked', onDecision);
+      limiter.off('cleared', onCleared);
+      limiter.off('storeError', onStoreError);
+    };
+  }
+
+  /**
+   * Returns every metric in the Prometheus text exposition format.
+   */
+  render(): string {
+    return [
+      this.decisions,
+      this.blockedReasons,
+      this.clears,
+      this.storeErrors,
+      this.storeDurations,
+    ]
+      .map((metric) => metric.render())
+      .join('');
+  }
+
+  /**
+   * Resets every metric to zero.
+   */
+  reset() {
+    this.decisions.reset();
+    this.blockedReasons.reset();
+    this.clears.reset();
+    this.storeErrors.reset();
+    this.storeDurations.reset();
+  }
+
+  private recordDecision({ limiter, info, storeDuration }: RateLimitDecisionEvent) {
+    this.decisions.inc({ limiter, decision: info.blocked ? 'blocked' : 'allowed' });
+    if (info.blockedDueToCount) this.blockedReasons.inc({ limiter, reason: 'count' });
+    if (info.blockedDueToMinDifference) {
+      this.blockedReasons.inc({ limiter, reason: 'min_difference' });
+    }
+    if (info.blockedDueToBan) this.blockedReasons.inc({ limiter, reason: 'ban' });
+    // Results from `onStoreError` are already recorded as store errors, and leases skip the store.
+    if (!info.fromFallback && !info.fromLease) {
+      this.storeDurations.observe({ limiter }, storeDuration / 1000);
+    }
+  }
+}
+
+class Counter {
+  name: string;
+  help: string;
+  private values: Map<string, { labels: Labels; value: number }>;
+
+  constructor(name: string, help: string) {
+    this.name = name;
+    this.help = help;
+    this.values = new Map<string, { labels: Labels; value: number }>();
+  }
+
+  inc(labels: Labels, amount = 1) {
+    const key = formatLabels(labels);
+    const entry = this.values.get(key);
+    if (entry) {
+      entry.value += amount;
+    } else {
+      this.values.set(key, { labels, value: amount });
+    }
+  }
+
+  reset() {
+    this.values.clear();
+  }
+
+  render() {
+    let output = `# HELP ${this.name} ${this.help}\n# TYPE ${this.name} counter\n`;
+    for (const { labels, value } of this.values.values()) {
+      output += `${this.name}${formatLabels(labels)} ${value}\n`;
+    }
+    return output;
+  }
+}
+
+interface HistogramEntry {
+  labels: Labels;
+  counts: Array<number>;
+  sum: number;
+  count: number;
+}
+
+class Histogram {
+  name: string;
+  help: string;
+  buckets: Array<number>;
+  private values: Map<string, HistogramEntry>;
+
+  constructor(name: string, help: string, buckets: Array<number>) {
+    this.name = name;
+    this.help = help;
+    this.buckets = buckets;
+    this.values = new Map<string, HistogramEntry>();
+  }
+
+  observe(labels: Labels, value: number) {
+    const key = formatLabels(labels);
+    const entry = this.values.get(key) || {
+      labels,
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    };
+    this.values.set(key, entry);
+    // Buckets are cumulative, so every bucket the value fits in is incremented.
+    this.buckets.forEach((bucket, i) => {
+      if (value <= bucket) entry.counts[i]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  reset() {
+    this.values.clear();
+  }
+
+  render() {
+    let output = `# HELP ${this.name} ${this.help}\n# TYPE ${this.name} histogram\n`;
+    for (const { labels, counts, sum, count } of this.values.values()) {
+      this.buckets.forEach((bucket, i) => {
+        const bucketLabels = formatLabels({ ...labels, le: String(bucket) });
+        output += `${this.name}_bucket${bucketLabels} ${counts[i]}\n`;
+      });
+      output += `${this.name}_bucket${formatLabels({
+        ...labels,
+        le: '+Inf',
+      })} ${count}\n`;
+      output += `${this.name}_sum${formatLabels(labels)} ${sum}\n`;
+      output += `${this.name}_count${formatLabels(labels)} ${count}\n`;
+    }
+    return output;
+  }
+}
+
+/**
+ * Formats labels as `{name="value",...}`, escaping values as the exposition format requires.
+ */
+function formatLabels(labels: Labels) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) =>
+      `${name}="${value
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n')}"`,
+  );
+  return `{${pairs.join(',')}}`;
+}
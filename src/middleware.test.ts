@@ -0,0 +1,284 @@
+import microtime from 'microtime';
+
+import {
+  ExpressRateLimitOptions,
+  InMemoryMultiTierRateLimiter,
+  InMemoryRateLimiter,
+  expressRateLimit,
+  fastifyRateLimit,
+  koaRateLimit,
+  millisecondsToMicroseconds,
+  Milliseconds,
+} from '.';
+
+interface FakeRequest {
+  ip: string;
+  path?: string;
+}
+
+type ExpressOnLimited = NonNullable<ExpressRateLimitOptions<FakeRequest>['onLimited']>;
+
+describe('rate limiting middleware', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest
+      .spyOn(microtime, 'now')
+      .mockImplementation(() => millisecondsToMicroseconds(1000 as Milliseconds));
+  });
+  afterEach(() => jest.runAllTimers());
+
+  function createLimiter() {
+    return new InMemoryRateLimiter({ interval: 10000, maxInInterval: 2 });
+  }
+
+  describe('expressRateLimit', () => {
+    function createResponse() {
+      return {
+        statusCode: 200,
+        headers: {} as Record<string, string>,
+        body: undefined as string | undefined,
+        setHeader(name: string, value: string) {
+          this.headers[name] = value;
+        },
+        end(body?: string) {
+          this.body = body;
+        },
+      };
+    }
+
+    type Middleware = (
+      req: FakeRequest,
+      res: ReturnType<typeof createResponse>,
+      next: (err?: unknown) => void,
+    ) => Promise<unknown>;
+
+    async function run(middleware: Middleware, req: FakeRequest) {
+      const res = createResponse();
+      const next = jest.fn<void, [unknown?]>();
+      await middleware(req, res, next);
+      return {
+        res,
+        nextCalled: next.mock.calls.length > 0,
+        err: next.mock.calls[0]?.[0],
+      };
+    }
+
+    it('allows requests under the limit and sets headers', async () => {
+      const middleware = expressRateLimit({
+        limiter: createLimiter(),
+        getId: (req: FakeRequest) => req.ip,
+      });
+
+      const { res, nextCalled } = await run(middleware, { ip: '1.1.1.1' });
+      expect(nextCalled).toBe(true);
+      expect(res.statusCode).toBe(200);
+      expect(res.headers).toEqual({
+        'RateLimit-Limit': '2',
+        'RateLimit-Remaining': '1',
+        'RateLimit-Reset': '0',
+      });
+    });
+
+    it('responds with 429 and Retry-After once the limit is reached', async () => {
+      const middleware = expressRateLimit({
+        limiter: createLimiter(),
+        getId: (req: FakeRequest) => req.ip,
+      });
+
+      await run(middleware, { ip: '1.1.1.1' });
+      await run(middleware, { ip: '1.1.1.1' });
+      const { res, nextCalled } = await run(middleware, { ip: '1.1.1.1' });
+      expect(nextCalled).toBe(false);
+      expect(res.statusCode).toBe(429);
+      expect(res.body).toBe('Too many requests');
+      expect(res.headers).toEqual({
+        'RateLimit-Limit': '2',
+        'RateLimit-Remaining': '0',
+        'RateLimit-Reset': '10',
+        'Retry-After': '10',
+      });
+    });
+
+    it('reports the limit that applied to the id', async () => {
+      const middleware = expressRateLimit({
+        limiter: new InMemoryRateLimiter({
+          interval: 10000,
+          maxInInterval: 2,
+          resolveLimits: (id) => (id === '2.2.2.2' ? { maxInInterval: 5 } : null),
+        }),
+        getId: (req: FakeRequest) => req.ip,
+      });
+
+      const { res } = await run(middleware, { ip: '2.2.2.2' });
+      expect(res.headers).toMatchObject({
+        'RateLimit-Limit': '5',
+        'RateLimit-Remaining': '4',
+      });
+    });
+
+    it('reports the limit of the tier with the fewest requests remaining', async () => {
+      const middleware = expressRateLimit({
+        limiter: new InMemoryMultiTierRateLimiter({
+          tiers: [
+            { interval: 1000, maxInInterval: 1 },
+            { interval: 10000, maxInInterval: 10 },
+          ],
+        }),
+        getId: (req: FakeRequest) => req.ip,
+      });
+
+      const { res } = await run(middleware, { ip: '1.1.1.1' });
+      expect(res.headers).toMatchObject({
+        'RateLimit-Limit': '1',
+        'RateLimit-Remaining': '0',
+      });
+    });
+
+    it('uses a custom handler for limited requests', async () => {
+      const onLimited = jest.fn<unknown, Parameters<ExpressOnLimited>>();
+      const middleware = expressRateLimit({
+        limiter: new InMemoryRateLimiter({ interval: 10000, maxInInterval: 1 }),
+        getId: (req: FakeRequest) => req.ip,
+        onLimited,
+      });
+
+      await run(middleware, { ip: '1.1.1.1' });
+      await run(middleware, { ip: '1.1.1.1' });
+      expect(onLimited).toHaveBeenCalledTimes(1);
+      expect(onLimited.mock.calls[0][3].blocked).toBe(true);
+    });
+
+    it('does not limit skipped or allowlisted requests', async () => {
+      const limiter = createLimiter();
+      const limitWithInfo = jest.spyOn(limiter, 'limitWithInfo');
+      const middleware = expressRateLimit({
+        limiter,
+        getId: (req: FakeRequest) => req.ip,
+        skip: (req: FakeRequest) => req.path === '/health',
+        allowlist: ['127.0.0.1'],
+      });
+
+      const skipped = await run(middleware, { ip: '1.1.1.1', path: '/health' });
+      const allowlisted = await run(middleware, { ip: '127.0.0.1' });
+      expect(skipped.nextCalled).toBe(true);
+      expect(allowlisted.nextCalled).toBe(true);
+      expect(skipped.res.headers).toEqual({});
+      expect(limitWithInfo).not.toHaveBeenCalled();
+    });
+
+    it('passes limiter errors to next', async () => {
+      const limiter = createLimiter();
+      const error = new Error('Redis is down');
+      jest.spyOn(limiter, 'limitWithInfo').mockRejectedValue(error);
+      const middleware = expressRateLimit({
+        limiter,
+        getId: (req: FakeRequest) => req.ip,
+      });
+
+      const { err } = await run(middleware, { ip: '1.1.1.1' });
+      expect(err).toBe(error);
+    });
+
+    it('passes errors thrown by onLimited to next', async () => {
+      const error = new Error('Cannot send the response');
+      const middleware = expressRateLimit({
+        limiter: new InMemoryRateLimiter({ interval: 10000, maxInInterval: 1 }),
+        getId: (req: FakeRequest) => req.ip,
+        onLimited: () => {
+          throw error;
+        },
+      });
+
+      await run(middleware, { ip: '1.1.1.1' });
+      const { err } = await run(middleware, { ip: '1.1.1.1' });
+      expect(err).toBe(error);
+    });
+
+    it('uses the weight of the request', async () => {
+      const middleware = expressRateLimit({
+        limiter: createLimiter(),
+        getId: (req: FakeRequest) => req.ip,
+        getWeight: () => 2,
+        headers: false,
+      });
+
+      const { res, nextCalled } = await run(middleware, { ip: '1.1.1.1' });
+      expect(nextCalled).toBe(true);
+      expect(res.headers).toEqual({});
+      expect((await run(middleware, { ip: '1.1.1.1' })).res.statusCode).toBe(429);
+    });
+  });
+
+  describe('koaRateLimit', () => {
+    function createContext(ip: string) {
+      return {
+        ip,
+        status: 404,
+        body: undefined as unknown,
+        headers: {} as Record<string, string>,
+        set(name: string, value: string) {
+          this.headers[name] = value;
+        },
+      };
+    }
+
+    it('calls next under the limit, and responds with 429 once it is reached', async () => {
+      const middleware = koaRateLimit({
+        limiter: createLimiter(),
+        getId: (ctx: ReturnType<typeof createContext>) => ctx.ip,
+      });
+      const next = jest.fn(async () => undefined);
+
+      await middleware(createContext('1.1.1.1'), next);
+      await middleware(createContext('1.1.1.1'), next);
+      expect(next).toHaveBeenCalledTimes(2);
+
+      const ctx = createContext('1.1.1.1');
+      await middleware(ctx, next);
+      expect(next).toHaveBeenCalledTimes(2);
+      expect(ctx.status).toBe(429);
+      expect(ctx.body).toBe('Too many requests');
+      expect(ctx.headers['Retry-After']).toBe('10');
+    });
+  });
+
+  describe('fastifyRateLimit', () => {
+    function createReply() {
+      const reply = {
+        statusCode: 200,
+        payload: undefined as unknown,
+        headers: {} as Record<string, string>,
+        header(name: string, value: string) {
+          reply.headers[name] = value;
+          return reply;
+        },
+        code(statusCode: number) {
+          reply.statusCode = statusCode;
+          return reply;
+        },
+        send(payload?: unknown) {
+          reply.payload = payload;
+          return reply;
+        },
+      };
+      return reply;
+    }
+
+    it('sets headers under the limit, and sends 429 once it is reached', async () => {
+      const hook = fastifyRateLimit({
+        limiter: createLimiter(),
+        getId: (req: FakeRequest) => req.ip,
+      });
+
+      const allowedReply = createReply();
+      expect(await hook({ ip: '1.1.1.1' }, allowedReply)).toBeUndefined();
+      expect(allowedReply.headers['RateLimit-Remaining']).toBe('1');
+
+      await hook({ ip: '1.1.1.1' }, createReply());
+      const blockedReply = createReply();
+      expect(await hook({ ip: '1.1.1.1' }, blockedReply)).toBe(blockedReply);
+      expect(blockedReply.statusCode).toBe(429);
+      expect(blockedReply.payload).toBe('Too many requests');
+    });
+  });
+});
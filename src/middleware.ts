@@ -0,0 +1,164 @@
+import { Id, RateLimiter, RateLimitInfo } from '.';
+
+/**
+ * Options shared by all middleware adapters. `Req` is whatever the framework passes to the key
+ * extractor: the request for Express and Fastify, and the context for Koa.
+ * See `README.md` for more information.
+ */
+export interface RateLimitMiddlewareOptions<Req> {
+  limiter: RateLimiter;
+  getId: (req: Req) => Id | Promise<Id>;
+  getWeight?: (req: Req) => number | Promise<number>;
+  skip?: (req: Req) => boolean | Promise<boolean>;
+  allowlist?: Array<Id>;
+  headers?: boolean;
+}
+
+/** Minimal interface of an Express (or plain Node `http`) response needed for the middleware. */
+interface ExpressResponse {
+  statusCode: number;
+  setHeader(name: string, value: string): unknown;
+  end(body?: string): unknown;
+}
+
+type ExpressNext = (err?: unknown) => void;
+
+export interface ExpressRateLimitOptions<Req> extends RateLimitMiddlewareOptions<Req> {
+  onLimited?: (
+    req: Req,
+    res: ExpressResponse,
+    next: ExpressNext,
+    info: RateLimitInfo,
+  ) => unknown;
+}
+
+/** Minimal interface of a Koa context needed for the middleware. */
+interface KoaContext {
+  status: number;
+  body: unknown;
+  set(name: string, value: string): unknown;
+}
+
+export interface KoaRateLimitOptions<Ctx extends KoaContext>
+  extends RateLimitMiddlewareOptions<Ctx> {
+  onLimited?: (ctx: Ctx, info: RateLimitInfo) => unknown;
+}
+
+/** Minimal interface of a Fastify reply needed for the middleware. */
+interface FastifyReply {
+  header(name: string, value: string): unknown;
+  code(statusCode: number): FastifyReply;
+  send(payload?: unknown): unknown;
+}
+
+export interface FastifyRateLimitOptions<Req, Reply extends FastifyReply>
+  extends RateLimitMiddlewareOptions<Req> {
+  onLimited?: (req: Req, reply: Reply, info: RateLimitInfo) => unknown;
+}
+
+const TOO_MANY_REQUESTS = 429;
+const TOO_MANY_REQUESTS_MESSAGE = 'Too many requests';
+
+/**
+ * Creates an Express-style `(req, res, next)` middleware that rate limits requests.
+ */
+export function expressRateLimit<Req>(options: ExpressRateLimitOptions<Req>) {
+  const {
+    onLimited = (_req, res) => {
+      res.statusCode = TOO_MANY_REQUESTS;
+      res.end(TOO_MANY_REQUESTS_MESSAGE);
+    },
+  } = options;
+
+  return function rateLimitMiddleware(req: Req, res: ExpressResponse, next: ExpressNext) {
+    return checkRequest(options, req)
+      .then(async (info) => {
+        if (info == null) return true;
+        setHeaders(options, info, (name, value) => res.setHeader(name, value));
+        if (!info.blocked) return true;
+        await onLimited(req, res, next, info);
+        return false;
+      })
+      .then(
+        (allowed) => (allowed ? next() : undefined),
+        // Errors from the limiter, `onLimited` or setting headers, but not from later middleware.
+        (err) => next(err),
+      );
+  };
+}
+
+/**
+ * Creates a Koa `(ctx, next)` middleware that rate limits requests.
+ */
+export function koaRateLimit<Ctx extends KoaContext>(options: KoaRateLimitOptions<Ctx>) {
+  const {
+    onLimited = (ctx) => {
+      ctx.status = TOO_MANY_REQUESTS;
+      ctx.body = TOO_MANY_REQUESTS_MESSAGE;
+    },
+  } = options;
+
+  return async function rateLimitMiddleware(ctx: Ctx, next: () => Promise<unknown>) {
+    const info = await checkRequest(options, ctx);
+    if (info == null) return next();
+    setHeaders(options, info, (name, value) => ctx.set(name, value));
+    return info.blocked ? onLimited(ctx, info) : next();
+  };
+}
+
+/**
+ * Creates a Fastify `onRequest` hook that rate limits requests.
+ */
+export function fastifyRateLimit<Req, Reply extends FastifyReply>(
+  options: FastifyRateLimitOptions<Req, Reply>,
+) {
+  const {
+    onLimited = (_req, reply) =>
+      reply.code(TOO_MANY_REQUESTS).send(TOO_MANY_REQUESTS_MESSAGE),
+  } = options;
+
+  return async function rateLimitHook(req: Req, reply: Reply) {
+    const info = await checkRequest(options, req);
+    if (info == null) return undefined;
+    setHeaders(options, info, (name, value) => reply.header(name, value));
+    if (!info.blocked) return undefined;
+    await onLimited(req, reply, info);
+    // Returning the reply tells Fastify that the response has already been sent.
+    return reply;
+  };
+}
+
+/**
+ * Runs the limiter for a request. Returns `null` if the request should not be limited at all.
+ */
+async function checkRequest<Req>(
+  { limiter, getId, getWeight, skip, allowlist }: RateLimitMiddlewareOptions<Req>,
+  req: Req,
+): Promise<RateLimitInfo | null> {
+  if (skip && (await skip(req))) return null;
+
+  const id = await getId(req);
+  if (allowlist && allowlist.includes(id)) return null;
+
+  const weight = getWeight ? await getWeight(req) : 1;
+  return limiter.limitWithInfo(id, weight);
+}
+
+/**
+ * Sets the standard `RateLimit-*` headers, plus `Retry-After` if the request was blocked.
+ */
+function setHeaders<Req>(
+  { headers = true }: RateLimitMiddlewareOptions<Req>,
+  info: RateLimitInfo,
+  setHeader: (name: string, value: string) => unknown,
+) {
+  if (!headers) return;
+
+  const secondsUntilAllowed = String(Math.ceil(info.millisecondsUntilAllowed / 1000));
+  setHeader('RateLimit-Limit', String(info.maxInInterval));
+  setHeader('RateLimit-Remaining', String(info.actionsRemaining));
+  setHeader('RateLimit-Reset', secondsUntilAllowed);
+  if (info.blocked) {
+    setHeader('Retry-After', secondsUntilAllowed);
+  }
+}
@@ -0,0 +1,58 @@
+import assert from 'assert';
+
+import { Microseconds } from './time';
+import { ListIdsResult, RateLimiter } from '.';
+
+export interface MigrateStateOptions {
+  prefix?: string;
+  count?: number;
+}
+
+/**
+ * Copies the recorded actions of every ID starting with `prefix` from one rolling window limiter to
+ * another, for example from an `InMemoryRateLimiter` to a `RedisRateLimiter`, or back. Actions keep
+ * their timestamps and weights, and are added to any the target already has. IDs are listed
+ * `count` at a time. Returns how many IDs had actions to copy. Only actions are copied, not the
+ * state of the penalty box or limit overrides.
+ */
+export async function migrateState(
+  from: RateLimiter,
+  to: RateLimiter,
+  { prefix = '', count = 100 }: MigrateStateOptions = {},
+): Promise<number> {
+  assert(
+    from.algorithm === 'rolling-window' && to.algorithm === 'rolling-window',
+    'Only state of the rolling window algorithm can be migrated',
+  );
+  const { store } = to;
+  if (!store) throw new Error('The target rate limiter has no store');
+
+  // Every ID is listed before any is read, since reading an ID can move it within the pages of an
+  // `InMemoryRateLimiter`.
+  const ids = new Set<string>();
+  let cursor: string | null = null;
+  do {
+    const page: ListIdsResult = await from.listKeys({ prefix, cursor, count });
+    page.ids.forEach((id) => ids.add(id));
+    cursor = page.cursor;
+  } while (cursor);
+
+  const interval = Math.max(...to.tiers.map((tier) => tier.interval)) as Microseconds;
+  let migrated = 0;
+  for (const id of ids) {
+    const { actions } = await from.getUsage(id);
+    if (actions.length === 0) continue;
+
+    const now = (await to.clock()) as Microseconds;
+    for (const action of actions) {
+      await store.getActions(to.makeKey(id), {
+        now,
+        clearBefore: (now - interval) as Microseconds,
+        expireAfter: interval,
+        newAction: action,
+      });
+    }
+    migrated++;
+  }
+  return migrated;
+}
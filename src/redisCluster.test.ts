@@ -0,0 +1,173 @@
+import { ListKeysResult, Microseconds, RedisClient, RedisStore, getKeySlot } from '.';
+
+/**
+ * Stands in for an ioredis `Cluster`, failing like Redis Cluster does when a single command or
+ * transaction uses keys from more than one hash slot.
+ */
+class FakeCluster {
+  isCluster = true;
+  masters: Array<RedisClient>;
+  batches: Array<Array<string>> = [];
+  deleted: Array<Array<string>> = [];
+
+  constructor(keysByNode: Array<Array<string>>) {
+    this.masters = keysByNode.map((keys) => makeNode(keys));
+  }
+
+  nodes() {
+    return this.masters;
+  }
+
+  multi() {
+    const keys: Array<string> = [];
+    const results: Array<unknown> = [];
+    const command = (key: string, result: unknown = 0) => {
+      keys.push(key);
+      results.push(result);
+    };
+    return {
+      zremrangebyscore: (key: string) => command(key),
+      zadd: (key: string) => command(key),
+      zrange: (key: string) => command(key, []),
+      expire: (key: string) => command(key),
+      exec: (cb: (err: Error | null, result: Array<unknown>) => void) => {
+        this.batches.push(Array.from(new Set(keys)));
+        cb(crossSlotError(keys), results);
+      },
+    };
+  }
+
+  del(...args: Array<unknown>) {
+    const cb = args.pop() as (err: Error | null, result: unknown) => void;
+    const keys = args as Array<string>;
+    this.deleted.push(keys);
+    cb(crossSlotError(keys), keys.length);
+  }
+
+  get(): never {
+    throw new Error('Not implemented');
+  }
+
+  scan(): never {
+    throw new Error('Redis Cluster clients can only scan a single node');
+  }
+
+  set(): never {
+    throw new Error('Not implemented');
+  }
+
+  eval(): never {
+    throw new Error('Not implemented');
+  }
+
+  evalsha(): never {
+    throw new Error('Not implemented');
+  }
+
+  zrem(): never {
+    throw new Error('Not implemented');
+  }
+}
+
+function makeNode(keys: Array<string>): RedisClient {
+  const notImplemented = () => {
+    throw new Error('Not implemented');
+  };
+  return {
+    // Returns two pages, so that both node and page cursors are used.
+    scan: (cursor: string, ...args: Array<unknown>) => {
+      const cb = args.pop() as (err: Error | null, result: unknown) => void;
+      const half = Math.ceil(keys.length / 2);
+      cb(null, cursor === '0' ? ['1', keys.slice(0, half)] : ['0', keys.slice(half)]);
+    },
+    del: notImplemented,
+    get: notImplemented,
+    multi: notImplemented,
+    set: notImplemented,
+    eval: notImplemented,
+    evalsha: notImplemented,
+    zrem: notImplemented,
+  };
+}
+
+function crossSlotError(keys: Array<string>) {
+  const slots = new Set(keys.map(getKeySlot));
+  return slots.size > 1
+    ? new Error("CROSSSLOT Keys in request don't hash to the same slot")
+    : null;
+}
+
+const options = {
+  now: 1 as Microseconds,
+  clearBefore: 0 as Microseconds,
+  expireAfter: 1000000 as Microseconds,
+};
+
+describe('getKeySlot', () => {
+  it('matches the slots Redis Cluster uses', () => {
+    expect(getKeySlot('foo')).toBe(12182);
+    expect(getKeySlot('bar')).toBe(5061);
+    expect(getKeySlot('123456789')).toBe(12739);
+  });
+
+  it('only hashes the hash tag, if there is one', () => {
+    expect(getKeySlot('{user1000}.following')).toBe(getKeySlot('user1000'));
+    expect(getKeySlot('{user1000}.followers')).toBe(getKeySlot('user1000'));
+    expect(getKeySlot('foo{bar}{zap}')).toBe(getKeySlot('bar'));
+  });
+
+  it('hashes the whole key if the hash tag is empty or unclosed', () => {
+    expect(getKeySlot('foo{}{bar}')).not.toBe(getKeySlot('bar'));
+    expect(getKeySlot('{bar')).not.toBe(getKeySlot('bar'));
+  });
+});
+
+describe('RedisStore (cluster)', () => {
+  it('handles the keys of each slot in a separate transaction', async () => {
+    const client = new FakeCluster([]);
+    const store = new RedisStore({ client });
+    const keys = ['{a}1', 'b', '{a}2', 'c'];
+
+    expect(await store.getManyActions(keys, options)).toEqual([[], [], [], []]);
+    expect(client.batches).toHaveLength(3);
+    expect(client.batches).toContainEqual(['{a}1', '{a}2']);
+  });
+
+  it('throws for `allOrNothing` with keys in different slots', async () => {
+    const store = new RedisStore({ client: new FakeCluster([]) });
+    await expect(
+      store.getManyActions(['a', 'b'], { ...options, allOrNothing: true }),
+    ).rejects.toThrow('same Redis Cluster slot');
+    expect(
+      await store.getManyActions(['{a}1', '{a}2'], { ...options, allOrNothing: true }),
+    ).toEqual([[], []]);
+  });
+
+  it('lists the keys of every master node', async () => {
+    const store = new RedisStore({
+      client: new FakeCluster([['a', 'b', 'c'], [], ['d']]),
+    });
+    const keys = [];
+    let cursor: string | null = null;
+    do {
+      const page: ListKeysResult = await store.listKeys({
+        match: '*',
+        cursor,
+        count: 10,
+      });
+      keys.push(...page.keys);
+      cursor = page.cursor;
+    } while (cursor);
+    expect(keys).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  it('deletes the keys of each slot separately when clearing by pattern', async () => {
+    const client = new FakeCluster([['{a}1', 'b', '{a}2'], ['c']]);
+    const store = new RedisStore({ client });
+
+    expect(await store.clearByPattern('*')).toBe(4);
+    expect(client.deleted).toContainEqual(['{a}1']);
+    expect(client.deleted).toContainEqual(['b']);
+    expect(client.deleted).toContainEqual(['{a}2']);
+  });
+});
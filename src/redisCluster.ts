@@ -0,0 +1,30 @@
+/**
+ * Number of hash slots in a Redis Cluster.
+ */
+const SLOT_COUNT = 16384;
+
+/**
+ * Returns the Redis Cluster hash slot of `key`. If the key has a hash tag, a non-empty substring
+ * between the first `{` and the next `}`, only the tag is hashed, so that keys with the same tag
+ * are in the same slot.
+ */
+export function getKeySlot(key: string) {
+  const tagStart = key.indexOf('{');
+  const tagEnd = tagStart === -1 ? -1 : key.indexOf('}', tagStart + 1);
+  const hashed = tagEnd > tagStart + 1 ? key.slice(tagStart + 1, tagEnd) : key;
+  return crc16(Buffer.from(hashed)) % SLOT_COUNT;
+}
+
+/**
+ * CRC16-CCITT (XMODEM), as used by Redis Cluster.
+ */
+function crc16(bytes: Buffer) {
+  let crc = 0;
+  for (const byte of bytes) {
+    crc ^= byte << 8;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+    }
+  }
+  return crc;
+}
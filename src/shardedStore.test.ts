@@ -0,0 +1,111 @@
+import { Action, InMemoryStore, ListKeysResult, Microseconds, ShardedStore } from '.';
+
+function action(timestamp: number): Action {
+  return { timestamp: timestamp as Microseconds, weight: 1 };
+}
+
+const options = {
+  now: 1 as Microseconds,
+  clearBefore: 0 as Microseconds,
+  expireAfter: 10000000 as Microseconds,
+};
+
+const keys = Array.from({ length: 100 }, (_value, i) => `key${i}`);
+
+describe('ShardedStore', () => {
+  let shards: Array<InMemoryStore>;
+  let store: ShardedStore;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    shards = [new InMemoryStore(), new InMemoryStore(), new InMemoryStore()];
+    store = new ShardedStore({ stores: shards });
+  });
+
+  afterEach(async () => {
+    await store.dispose();
+    jest.runAllTimers();
+  });
+
+  it('keeps each key on a single shard', async () => {
+    for (const key of keys) {
+      await store.getActions(key, { ...options, newAction: action(1) });
+    }
+
+    for (const key of keys) {
+      const shard = shards[store.getShardIndex(key)];
+      expect(await shard.getActions(key, options)).toEqual([action(1)]);
+      for (const other of shards.filter((s) => s !== shard)) {
+        expect(await other.getActions(key, options)).toEqual([]);
+      }
+    }
+  });
+
+  it('spreads keys across every shard', () => {
+    const shardIndexes = new Set(keys.map((key) => store.getShardIndex(key)));
+    expect(shardIndexes).toEqual(new Set([0, 1, 2]));
+  });
+
+  it('only moves the keys of a removed shard', () => {
+    const smaller = new ShardedStore({ stores: shards.slice(0, 2) });
+    for (const key of keys) {
+      const shardIndex = store.getShardIndex(key);
+      if (shardIndex < 2) expect(smaller.getShardIndex(key)).toBe(shardIndex);
+    }
+  });
+
+  it('handles several keys across shards, in order', async () => {
+    await store.getActions('key1', { ...options, newAction: action(1) });
+    expect(await store.getManyActions(keys.slice(0, 3), options)).toEqual([
+      [],
+      [action(1)],
+      [],
+    ]);
+  });
+
+  it('throws for `allOrNothing` with keys on different shards', async () => {
+    await expect(
+      store.getManyActions(keys, { ...options, allOrNothing: true }),
+    ).rejects.toThrow('same shard');
+  });
+
+  it('removes actions from the shard of their key', async () => {
+    for (const key of keys.slice(0, 10)) {
+      await store.getActions(key, {
+        ...options,
+        newAction: { ...action(1), id: `${key}:1` },
+      });
+    }
+
+    for (const key of keys.slice(0, 10)) {
+      expect(await store.removeAction(key, `${key}:1`)).toBe(true);
+      expect(await shards[store.getShardIndex(key)].getActions(key, options)).toEqual([]);
+    }
+    expect(await store.removeAction('key0', 'key0:1')).toBe(false);
+  });
+
+  it('lists and clears the keys of every shard', async () => {
+    for (const key of keys.slice(0, 10)) {
+      await store.getActions(key, { ...options, newAction: action(1) });
+    }
+
+    const listed = [];
+    let cursor: string | null = null;
+    do {
+      const page: ListKeysResult = await store.listKeys({
+        match: 'key*',
+        cursor,
+        count: 2,
+      });
+      listed.push(...page.keys);
+      cursor = page.cursor;
+    } while (cursor);
+    expect(listed.sort()).toEqual(keys.slice(0, 10).sort());
+
+    expect(await store.clearByPattern('key*')).toBe(10);
+    expect(await store.listKeys({ match: '*', count: 100 })).toEqual({
+      keys: [],
+      cursor: '1:0',
+    });
+  });
+});
@@ -0,0 +1,220 @@
+import assert from 'assert';
+import { createHash } from 'crypto';
+import {
+  GetActionsOptions,
+  GetArrivalTimeOptions,
+  GetCountsOptions,
+  GetManyActionsOptions,
+  ListKeysOptions,
+  ListKeysResult,
+  RateLimitStore,
+  RecordViolationOptions,
+  WindowCounts,
+} from './stores';
+import { Microseconds } from './time';
+import { Action, RateLimitTierOptions } from '.';
+
+export interface ShardedStoreOptions {
+  stores: Array<RateLimitStore>;
+  virtualNodes?: number;
+}
+
+interface RingPoint {
+  hash: number;
+  shard: number;
+}
+
+/**
+ * Store that spreads keys across several stores, such as `RedisStore`s for standalone Redis
+ * servers, using consistent hashing. Every key is always handled by the same store, and adding or
+ * removing a store only moves the keys of about one store's share of the ring.
+ *
+ * Shards must be passed in the same order everywhere, or limiters will disagree on where keys are.
+ */
+export class ShardedStore implements RateLimitStore {
+  stores: Array<RateLimitStore>;
+  private ring: Array<RingPoint>;
+
+  constructor({ stores, virtualNodes = 160 }: ShardedStoreOptions) {
+    assert(stores.length > 0, '`options.stores` cannot be empty');
+    assert(virtualNodes >= 1, '`options.virtualNodes` must be at least 1');
+    this.stores = stores;
+    this.ring = [];
+    stores.forEach((_store, shard) => {
+      for (let i = 0; i < virtualNodes; i++) {
+        this.ring.push({ hash: hash(`${shard}:${i}`), shard });
+      }
+    });
+    this.ring.sort((a, b) => a.hash - b.hash);
+  }
+
+  /**
+   * Returns the index of the store that handles `key`: the first point of the ring at or after the
+   * key's hash, wrapping around to the start.
+   */
+  getShardIndex(key: string) {
+    const keyHash = hash(key);
+    let low = 0;
+    let high = this.ring.length;
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (this.ring[middle].hash < keyHash) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return this.ring[low === this.ring.length ? 0 : low].shard;
+  }
+
+  async getActions(key: string, options: GetActionsOptions): Promise<Array<Action>> {
+    return this.getShard(key).getActions(key, options);
+  }
+
+  /**
+   * Each store handles its own keys together, so `allOrNothing` needs every key to be on the same
+   * store.
+   */
+  async getManyActions(
+    keys: Array<string>,
+    options: GetManyActionsOptions,
+  ): Promise<Array<Array<Action>>> {
+    const groups = new Map<number, Array<number>>();
+    keys.forEach((key, i) => {
+      const shard = this.getShardIndex(key);
+      const group = groups.get(shard);
+      if (group) {
+        group.push(i);
+      } else {
+        groups.set(shard, [i]);
+      }
+    });
+    if (options.allOrNothing && groups.size > 1) {
+      throw new Error('`allOrNothing` needs every key to be on the same shard');
+    }
+
+    const results: Array<Array<Action>> = [];
+    await Promise.all(
+      Array.from(groups.entries()).map(async ([shard, group]) => {
+        const store = this.stores[shard];
+        const groupKeys = group.map((i) => keys[i]);
+        const groupResults = store.getManyActions
+          ? await store.getManyActions(groupKeys, options)
+          : await Promise.all(groupKeys.map((key) => store.getActions(key, options)));
+        group.forEach((keyIndex, i) => {
+          results[keyIndex] = groupResults[i];
+        });
+      }),
+    );
+    return results;
+  }
+
+  /**
+   * Lists the keys of each store in turn. Cursors are prefixed with the index of the store.
+   */
+  async listKeys({ match, cursor, count }: ListKeysOptions): Promise<ListKeysResult> {
+    const separatorIndex = cursor ? cursor.indexOf(':') : -1;
+    const shard = cursor ? Number(cursor.slice(0, separatorIndex)) : 0;
+    const store = this.stores[shard];
+    if (!store.listKeys) throw new Error(`Shard ${shard} does not support listing keys`);
+
+    const page = await store.listKeys({
+      match,
+      cursor: cursor ? cursor.slice(separatorIndex + 1) : null,
+      count,
+    });
+    let nextCursor = null;
+    if (page.cursor) {
+      nextCursor = `${shard}:${page.cursor}`;
+    } else if (shard + 1 < this.stores.length) {
+      nextCursor = `${shard + 1}:0`;
+    }
+    return { keys: page.keys, cursor: nextCursor };
+  }
+
+  async clearByPattern(pattern: string) {
+    const counts = await Promise.all(
+      this.stores.map((store, shard) => {
+        if (!store.clearByPattern) {
+          throw new Error(`Shard ${shard} does not support clearing by pattern`);
+        }
+        return store.clearByPattern(pattern);
+      }),
+    );
+    return counts.reduce((total, count) => total + count, 0);
+  }
+
+  async removeAction(key: string, actionId: string) {
+    const store = this.getShard(key);
+    if (!store.removeAction) throw this.unsupported(key, 'removeAction');
+    return store.removeAction(key, actionId);
+  }
+
+  async getCounts(key: string, options: GetCountsOptions): Promise<WindowCounts> {
+    const store = this.getShard(key);
+    if (!store.getCounts) throw this.unsupported(key, 'getCounts');
+    return store.getCounts(key, options);
+  }
+
+  async getArrivalTime(key: string, options: GetArrivalTimeOptions) {
+    const store = this.getShard(key);
+    if (!store.getArrivalTime) throw this.unsupported(key, 'getArrivalTime');
+    return store.getArrivalTime(key, options);
+  }
+
+  async recordViolation(
+    key: string,
+    options: RecordViolationOptions,
+  ): Promise<Microseconds | null> {
+    const store = this.getShard(key);
+    if (!store.recordViolation) throw this.unsupported(key, 'recordViolation');
+    return store.recordViolation(key, options);
+  }
+
+  async unban(key: string) {
+    const store = this.getShard(key);
+    if (!store.unban) throw this.unsupported(key, 'unban');
+    await store.unban(key);
+  }
+
+  async getLimitOverride(key: string) {
+    const store = this.getShard(key);
+    if (!store.getLimitOverride) throw this.unsupported(key, 'getLimitOverride');
+    return store.getLimitOverride(key);
+  }
+
+  async setLimitOverride(key: string, limits: Partial<RateLimitTierOptions>) {
+    const store = this.getShard(key);
+    if (!store.setLimitOverride) throw this.unsupported(key, 'setLimitOverride');
+    await store.setLimitOverride(key, limits);
+  }
+
+  async clearLimitOverride(key: string) {
+    const store = this.getShard(key);
+    if (!store.clearLimitOverride) throw this.unsupported(key, 'clearLimitOverride');
+    await store.clearLimitOverride(key);
+  }
+
+  async clear(key: string) {
+    await this.getShard(key).clear(key);
+  }
+
+  async dispose() {
+    await Promise.all(this.stores.map((store) => store.dispose && store.dispose()));
+  }
+
+  private getShard(key: string) {
+    return this.stores[this.getShardIndex(key)];
+  }
+
+  private unsupported(key: string, method: string) {
+    return new Error(`Shard ${this.getShardIndex(key)} does not support \`${method}\``);
+  }
+}
+
+/**
+ * Returns the first 32 bits of the MD5 of `value`, which spreads keys evenly enough for a ring.
+ */
+function hash(value: string) {
+  return createHash('md5').update(value).digest().readUInt32BE(0);
+}
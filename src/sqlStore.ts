@@ -0,0 +1,132 @@
+import { GetActionsOptions, RateLimitStore, isBlockedByTiers } from './stores';
+import { Microseconds } from './time';
+import { Action } from '.';
+
+export type SqlRow = Record<string, unknown>;
+
+/**
+ * Minimal interface of a SQL client needed for algorithm. Adapt your driver to this. Queries use
+ * `?` placeholders, which are rewritten to `$1`, `$2`... for Postgres.
+ *
+ * Transactions are run with `BEGIN` and `COMMIT` queries, so every query must go to the same
+ * connection: pass a single client, not a pool.
+ */
+export interface SqlClient {
+  query(sql: string, params: Array<string | number>): Promise<Array<SqlRow>>;
+}
+
+export interface SqlStoreOptions {
+  client: SqlClient;
+  dialect?: 'sqlite' | 'postgres';
+  table?: string;
+}
+
+/**
+ * Store that keeps state in a SQL table, with one row per action. Each call trims and reads the
+ * key's actions in a transaction, so the check and the write are atomic.
+ */
+export class SqlStore implements RateLimitStore {
+  client: SqlClient;
+  dialect: 'sqlite' | 'postgres';
+  table: string;
+  private queue: Promise<unknown>;
+
+  constructor({
+    client,
+    dialect = 'sqlite',
+    table = 'rate_limiter_actions',
+  }: SqlStoreOptions) {
+    this.client = client;
+    this.dialect = dialect;
+    this.table = table;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Creates the table used by the store, and its index, if they do not exist yet.
+   */
+  async createTable() {
+    const weightType = this.dialect === 'postgres' ? 'DOUBLE PRECISION' : 'REAL';
+    await this.query(
+      `CREATE TABLE IF NOT EXISTS ${this.table} (` +
+        `key TEXT NOT NULL, timestamp BIGINT NOT NULL, weight ${weightType} NOT NULL)`,
+    );
+    await this.query(
+      `CREATE INDEX IF NOT EXISTS ${this.table}_key_timestamp ON ${this.table} (key, timestamp)`,
+    );
+  }
+
+  async clear(key: string) {
+    await this.query(`DELETE FROM ${this.table} WHERE key = ?`, [key]);
+  }
+
+  async getActions(
+    key: string,
+    { clearBefore, newAction, onlyIfAllowedBy }: GetActionsOptions,
+  ): Promise<Array<Action>> {
+    return this.transaction(key, async () => {
+      await this.query(`DELETE FROM ${this.table} WHERE key = ? AND timestamp <= ?`, [
+        key,
+        clearBefore,
+      ]);
+      const rows = await this.query(
+        `SELECT timestamp, weight FROM ${this.table} WHERE key = ? ORDER BY timestamp`,
+        [key],
+      );
+      // Map to numbers because some drivers return `BIGINT` columns as strings.
+      const storedActions = rows.map((row) => ({
+        timestamp: Number(row.timestamp) as Microseconds,
+        weight: Number(row.weight),
+      }));
+
+      const blocked =
+        newAction &&
+        onlyIfAllowedBy &&
+        isBlockedByTiers(onlyIfAllowedBy, storedActions, newAction);
+      if (newAction && !blocked) {
+        await this.query(
+          `INSERT INTO ${this.table} (key, timestamp, weight) VALUES (?, ?, ?)`,
+          [key, newAction.timestamp, newAction.weight],
+        );
+      }
+
+      return storedActions;
+    });
+  }
+
+  /**
+   * Runs `fn` in a transaction that holds a write lock for the key. Transactions from this process
+   * are queued, since they share one connection.
+   */
+  private transaction<T>(key: string, fn: () => Promise<T>): Promise<T> {
+    const result = this.queue.then(async () => {
+      if (this.dialect === 'postgres') {
+        await this.query('BEGIN');
+        // Rows for a key may not exist yet, so they cannot be locked. Lock the key itself instead.
+        await this.query('SELECT pg_advisory_xact_lock(hashtext(?))', [key]);
+      } else {
+        // SQLite only allows one writer, which `IMMEDIATE` acquires up front.
+        await this.query('BEGIN IMMEDIATE');
+      }
+
+      try {
+        const value = await fn();
+        await this.query('COMMIT');
+        return value;
+      } catch (err) {
+        await this.query('ROLLBACK');
+        throw err;
+      }
+    });
+    this.queue = result.catch(() => undefined);
+    return result;
+  }
+
+  private query(sql: string, params: Array<string | number> = []) {
+    if (this.dialect === 'postgres') {
+      let index = 0;
+      sql = sql.replace(/\?/g, () => `$${++index}`);
+    }
+    return this.client.query(sql, params);
+  }
+}
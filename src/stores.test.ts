@@ -0,0 +1,189 @@
+import {
+  Action,
+  InMemoryStore,
+  InMemoryStoreState,
+  Microseconds,
+  RateLimitTier,
+} from '.';
+
+function action(timestamp: number, weight = 1): Action {
+  return { timestamp: timestamp as Microseconds, weight };
+}
+
+function record(store: InMemoryStore, key: string, timestamp: number) {
+  return store.getActions(key, {
+    now: timestamp as Microseconds,
+    clearBefore: (timestamp - 10000000) as Microseconds,
+    expireAfter: 10000000 as Microseconds,
+    newAction: action(timestamp),
+  });
+}
+
+describe('InMemoryStore', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.runAllTimers());
+
+  it('returns the actions stored before the new one', async () => {
+    const store = new InMemoryStore();
+    expect(await record(store, 'a', 1)).toEqual([]);
+    expect(await record(store, 'a', 2)).toEqual([action(1)]);
+    store.dispose();
+  });
+
+  it('only records the new action if allowed when `onlyIfAllowedBy` is set', async () => {
+    const store = new InMemoryStore();
+    const tiers: Array<RateLimitTier> = [
+      {
+        interval: 10 as Microseconds,
+        maxInInterval: 1,
+        minDifference: 0 as Microseconds,
+      },
+    ];
+    const options = {
+      now: 1 as Microseconds,
+      clearBefore: 0 as Microseconds,
+      expireAfter: 10 as Microseconds,
+      onlyIfAllowedBy: tiers,
+    };
+
+    await store.getActions('a', { ...options, newAction: action(1) });
+    await store.getActions('a', { ...options, newAction: action(1) });
+    expect(await store.getActions('a', options)).toEqual([action(1)]);
+    store.dispose();
+  });
+
+  it('evicts the least recently used keys beyond `maxKeys`', async () => {
+    const store = new InMemoryStore({ maxKeys: 2 });
+    await record(store, 'a', 1);
+    await record(store, 'b', 2);
+    // Reading `a` makes `b` the least recently used key.
+    await store.getActions('a', {
+      now: 3 as Microseconds,
+      clearBefore: 0 as Microseconds,
+      expireAfter: 10000000 as Microseconds,
+    });
+    await record(store, 'c', 4);
+
+    expect([...store.storage.keys()]).toEqual(['a', 'c']);
+    store.dispose();
+  });
+
+  it('does not store keys that have only been read', async () => {
+    const store = new InMemoryStore();
+    await store.getActions('a', {
+      now: 1 as Microseconds,
+      clearBefore: 0 as Microseconds,
+      expireAfter: 10000000 as Microseconds,
+    });
+    expect(store.storage.size).toBe(0);
+  });
+
+  it('removes expired keys with a single timer', async () => {
+    const store = new InMemoryStore({ sweepInterval: 1000 });
+    await record(store, 'a', 1);
+    jest.advanceTimersByTime(5000);
+    await record(store, 'b', 2);
+    expect(jest.getTimerCount()).toBe(1);
+
+    // `a` expires 10 seconds after it was recorded.
+    jest.advanceTimersByTime(5000);
+    expect([...store.storage.keys()]).toEqual(['b']);
+
+    // Recording again pushes back the expiry of `b`.
+    await record(store, 'b', 3);
+    jest.advanceTimersByTime(5000);
+    expect([...store.storage.keys()]).toEqual(['b']);
+    jest.advanceTimersByTime(5000);
+    expect(store.storage.size).toBe(0);
+
+    // The timer stops once the store is empty.
+    expect(jest.getTimerCount()).toBe(0);
+  });
+
+  it('cancels its timer when disposed', async () => {
+    const store = new InMemoryStore();
+    await record(store, 'a', 1);
+    expect(jest.getTimerCount()).toBe(1);
+
+    store.dispose();
+    expect(jest.getTimerCount()).toBe(0);
+    expect(store.storage.size).toBe(0);
+  });
+
+  it('lists matching keys one page at a time', async () => {
+    const store = new InMemoryStore();
+    for (const key of ['user:1', 'user:2', 'user:3', 'org:1'])
+      await record(store, key, 1);
+
+    const firstPage = await store.listKeys({ match: 'user:*', count: 2 });
+    expect(firstPage).toEqual({ keys: ['user:1', 'user:2'], cursor: '2' });
+    const secondPage = await store.listKeys({ match: 'user:*', cursor: '2', count: 2 });
+    expect(secondPage).toEqual({ keys: ['user:3'], cursor: null });
+    store.dispose();
+  });
+
+  it('clears keys matching a glob-style pattern', async () => {
+    const store = new InMemoryStore();
+    for (const key of ['a1', 'a22', 'b1', '*1']) await record(store, key, 1);
+
+    expect(await store.clearByPattern('a?')).toBe(1);
+    expect(await store.clearByPattern('\\*?')).toBe(1);
+    expect([...store.storage.keys()]).toEqual(['a22', 'b1']);
+    expect(await store.clearByPattern('*')).toBe(2);
+    store.dispose();
+  });
+
+  it('removes a single action by its id', async () => {
+    const store = new InMemoryStore();
+    const options = {
+      now: 2 as Microseconds,
+      clearBefore: 0 as Microseconds,
+      expireAfter: 10 as Microseconds,
+    };
+    await store.getActions('a', { ...options, newAction: { ...action(1), id: 'x:1' } });
+    await store.getActions('a', { ...options, newAction: { ...action(2), id: 'y:1' } });
+
+    expect(await store.removeAction('a', 'x:1')).toBe(true);
+    expect(await store.removeAction('a', 'x:1')).toBe(false);
+    expect(await store.removeAction('b', 'y:1')).toBe(false);
+    expect(await store.getActions('a', options)).toEqual([{ ...action(2), id: 'y:1' }]);
+    store.dispose();
+  });
+
+  it('exports and imports its state, skipping expired keys', async () => {
+    const store = new InMemoryStore();
+    await record(store, 'a', 1);
+    await store.setLimitOverride('a:limits', { maxInInterval: 5 });
+    const state = JSON.parse(
+      JSON.stringify(store.exportState(1 as Microseconds)),
+    ) as InMemoryStoreState;
+    store.dispose();
+
+    const restored = new InMemoryStore();
+    expect(restored.importState(state, 5000000 as Microseconds)).toBe(1);
+    expect(
+      await restored.getActions('a', {
+        now: 5000000 as Microseconds,
+        clearBefore: 0 as Microseconds,
+        expireAfter: 10000000 as Microseconds,
+      }),
+    ).toEqual([action(1)]);
+    expect(await restored.getLimitOverride('a:limits')).toEqual({ maxInInterval: 5 });
+    restored.dispose();
+
+    const late = new InMemoryStore();
+    expect(late.importState(state, 20000000 as Microseconds)).toBe(0);
+    late.dispose();
+  });
+
+  it('throws when importing an unknown state version', () => {
+    const store = new InMemoryStore();
+    expect(() =>
+      store.importState(
+        { ...store.exportState(0 as Microseconds), version: 2 as 1 },
+        0 as Microseconds,
+      ),
+    ).toThrow('Unsupported rate limiter state version: 2');
+    store.dispose();
+  });
+});
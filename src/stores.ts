@@ -0,0 +1,1503 @@
+import assert from 'assert';
+import { createHash } from 'crypto';
+import { v4 as uuid } from 'uuid';
+
+import { getKeySlot } from './redisCluster';
+import {
+  Microseconds,
+  Milliseconds,
+  microsecondsToMilliseconds,
+  microsecondsToSeconds,
+  millisecondsToMicroseconds,
+} from './time';
+import { Action, RateLimitTier, RateLimitTierOptions } from '.';
+
+/**
+ * Options passed to `RateLimitStore.getActions`.
+ * See `README.md` for more information.
+ */
+export interface GetActionsOptions {
+  /** The current time. */
+  now: Microseconds;
+  /** Actions at or before this time are outside of every interval, and should be dropped. */
+  clearBefore: Microseconds;
+  /** How long state for the key needs to be kept after a new action is recorded. */
+  expireAfter: Microseconds;
+  /**
+   * The action to record, if any. If an action with the same `id` is already stored, it is replaced,
+   * so recording an action twice only counts it once.
+   */
+  newAction?: Action;
+  /**
+   * If set, `newAction` is only recorded if these tiers allow it (see `isBlockedByTiers`). The
+   * check and the write must happen atomically.
+   */
+  onlyIfAllowedBy?: Array<RateLimitTier>;
+  /**
+   * Only set with the penalty box. If the key is banned at this time, nothing is recorded, and the
+   * call rejects with a `KeyBannedError`. The check and the write must happen atomically.
+   */
+  unlessBannedAt?: Microseconds;
+}
+
+/**
+ * Options passed to `RateLimitStore.getManyActions`.
+ * See `README.md` for more information.
+ */
+export interface GetManyActionsOptions extends GetActionsOptions {
+  /**
+   * If set along with `onlyIfAllowedBy`, `newAction` is only recorded for any key if the tiers
+   * allow it for every key.
+   */
+  allOrNothing?: boolean;
+}
+
+/**
+ * Thrown by stores instead of recording anything when called with `unlessBannedAt`, if the key is
+ * banned at that time. `bannedUntil` is when the ban ends.
+ */
+export class KeyBannedError extends Error {
+  bannedUntil: Microseconds;
+
+  constructor(bannedUntil: Microseconds) {
+    super('The key is banned');
+    this.name = 'KeyBannedError';
+    this.bannedUntil = bannedUntil;
+  }
+}
+
+/**
+ * Options passed to `RateLimitStore.listKeys`.
+ * See `README.md` for more information.
+ */
+export interface ListKeysOptions {
+  /** Glob-style pattern that keys must match, as used by Redis' `SCAN`. */
+  match: string;
+  /** Cursor returned by the previous call, if any. */
+  cursor?: string | null;
+  /** Roughly how many keys to look at. */
+  count: number;
+}
+
+/**
+ * A page of keys returned by `RateLimitStore.listKeys`. `cursor` is `null` once every key has been
+ * returned.
+ */
+export interface ListKeysResult {
+  keys: Array<string>;
+  cursor: string | null;
+}
+
+/**
+ * Options passed to `RateLimitStore.getCounts`, used by the sliding window counter algorithm.
+ * See `README.md` for more information.
+ */
+export interface GetCountsOptions {
+  /** The current time. */
+  now: Microseconds;
+  /** The length of each fixed window. The current one is `Math.floor(now / interval)`. */
+  interval: Microseconds;
+  /** How long the current window's count needs to be kept after it is incremented. */
+  expireAfter: Microseconds;
+  /** The weight to add to the current window's count, if any. */
+  increment?: number;
+  /**
+   * If set, `increment` is only added if `previous * (1 - elapsed / interval) + current +
+   * increment` stays within it. The check and the write must happen atomically.
+   */
+  onlyIfWithin?: number;
+  /**
+   * Only set with the penalty box. If the key is banned at this time, nothing is recorded, and the
+   * call rejects with a `KeyBannedError`. The check and the write must happen atomically.
+   */
+  unlessBannedAt?: Microseconds;
+}
+
+/**
+ * Options passed to `RateLimitStore.getArrivalTime`, used by the token bucket algorithm.
+ * See `README.md` for more information.
+ */
+export interface GetArrivalTimeOptions {
+  /** The current time. Stored arrival times in the past are treated as `now`. */
+  now: Microseconds;
+  /** How far to move the arrival time forward, if at all. */
+  increment?: Microseconds;
+  /**
+   * If set, the arrival time is only moved forward if it ends up at most this long after `now`.
+   * The check and the write must happen atomically.
+   */
+  onlyIfWithin?: Microseconds;
+  /**
+   * Only set with the penalty box. If the key is banned at this time, nothing is recorded, and the
+   * call rejects with a `KeyBannedError`. The check and the write must happen atomically.
+   */
+  unlessBannedAt?: Microseconds;
+}
+
+/**
+ * Options passed to `RateLimitStore.recordViolation`, used by the penalty box.
+ * See `README.md` for more information.
+ */
+export interface RecordViolationOptions {
+  /** The current time, at which the violation happened. */
+  now: Microseconds;
+  /** Violations at or before `now - window` no longer count. */
+  window: Microseconds;
+  /** How many violations within `window` get the key banned. */
+  maxViolations: number;
+  /** How long the first ban lasts. Each ban after that lasts twice as long as the previous one. */
+  banDuration: Microseconds;
+  /** The longest a ban can last. */
+  maxBanDuration: Microseconds;
+  /** How long after a ban ends it still counts as a previous ban. */
+  forgetAfter: Microseconds;
+}
+
+/**
+ * Total weight of the actions recorded in the previous and current fixed windows, and how long
+ * ago the current window started.
+ */
+export interface WindowCounts {
+  previous: number;
+  current: number;
+  elapsed: Microseconds;
+}
+
+/**
+ * Storage backend for rate limiters. Implement this to store state somewhere other than memory
+ * or Redis. See `README.md` for more information.
+ */
+export interface RateLimitStore {
+  /**
+   * Drops actions at or before `clearBefore` for the key, records `newAction` if provided, and
+   * returns the actions that were stored before `newAction` was recorded, oldest first.
+   */
+  getActions(key: string, options: GetActionsOptions): Promise<Array<Action>>;
+
+  /**
+   * Optional. Does the same as `getActions` for several keys at once, ideally in a single round
+   * trip, and returns the stored actions for each key in the same order. Needed for the
+   * `allOrNothing` option of `limitManyWithInfo`.
+   */
+  getManyActions?(
+    keys: Array<string>,
+    options: GetManyActionsOptions,
+  ): Promise<Array<Array<Action>>>;
+
+  /**
+   * Optional. Returns a page of keys matching `options.match`. Pages may be smaller than
+   * `options.count`, or even empty, before the last one.
+   */
+  listKeys?(options: ListKeysOptions): Promise<ListKeysResult>;
+
+  /**
+   * Optional. Clears all state for every key matching the glob-style `pattern`, and returns how
+   * many keys were cleared.
+   */
+  clearByPattern?(pattern: string): Promise<number>;
+
+  /**
+   * Optional, only needed for the sliding window counter algorithm. Adds `increment` to the count
+   * for the current window if provided, and returns the counts from before it was added. Counts
+   * for windows older than the previous one are no longer needed.
+   */
+  getCounts?(key: string, options: GetCountsOptions): Promise<WindowCounts>;
+
+  /**
+   * Optional, only needed for the token bucket algorithm. Moves the key's arrival time forward by
+   * `increment` if provided, and returns the arrival time from before it was moved, or `null` if
+   * there is none. The key can expire once its arrival time has passed.
+   */
+  getArrivalTime?(
+    key: string,
+    options: GetArrivalTimeOptions,
+  ): Promise<Microseconds | null>;
+
+  /**
+   * Optional, only needed for the `penaltyBox` option. Records a violation for the key, and if
+   * there are `maxViolations` within `window`, forgets them and bans the key, all atomically. Bans
+   * last `banDuration`, doubled for every previous ban still remembered, up to `maxBanDuration`.
+   * Returns when the new ban ends, or `null` if the key was not banned. Stores that implement this
+   * must also support `unlessBannedAt`. Violations and bans are not listed by `listKeys`, nor
+   * cleared by `clear` or `clearByPattern`.
+   */
+  recordViolation?(
+    key: string,
+    options: RecordViolationOptions,
+  ): Promise<Microseconds | null>;
+
+  /**
+   * Optional, only needed for the `penaltyBox` option. Forgets the key's violations and bans.
+   */
+  unban?(key: string): Promise<void>;
+
+  /**
+   * Optional, only needed for the `limitOverrides` option. Returns the limits stored for the key
+   * with `setLimitOverride`, or `null` if there are none.
+   */
+  getLimitOverride?(key: string): Promise<Partial<RateLimitTierOptions> | null>;
+
+  /**
+   * Optional, only needed for the `limitOverrides` option. Stores limits for the key, which are
+   * kept until `clearLimitOverride` is called, even once the key's other state has expired. They
+   * are not listed by `listKeys`, nor cleared by `clear` or `clearByPattern`.
+   */
+  setLimitOverride?(key: string, limits: Partial<RateLimitTierOptions>): Promise<void>;
+
+  /**
+   * Optional, only needed for the `limitOverrides` option. Removes the limits stored for the key.
+   */
+  clearLimitOverride?(key: string): Promise<void>;
+
+  /**
+   * Optional, only needed for `refund`. Removes the action whose `id` is `actionId` from the key's
+   * actions, atomically, and returns whether it was found.
+   */
+  removeAction?(key: string, actionId: string): Promise<boolean>;
+
+  /**
+   * Clears all state for the key.
+   */
+  clear(key: string): Promise<void>;
+
+  /**
+   * Optional. Releases any resources held by the store, such as timers.
+   */
+  dispose?(): void | Promise<void>;
+}
+
+/**
+ * Returns whether any of the tiers would block `newAction`, given the actions already stored.
+ * Stores that support `onlyIfAllowedBy` in-process can use this to decide whether to record it.
+ */
+export function isBlockedByTiers(
+  tiers: Array<RateLimitTier>,
+  storedActions: Array<Action>,
+  newAction: Action,
+) {
+  return tiers.some((tier) => {
+    const actions = storedActions.filter(
+      (a) => a.timestamp > newAction.timestamp - tier.interval,
+    );
+    const previousAction = actions[actions.length - 1];
+    return (
+      sumWeights(actions) + newAction.weight > tier.maxInInterval ||
+      (tier.minDifference > 0 &&
+        previousAction != null &&
+        newAction.timestamp - previousAction.timestamp < tier.minDifference)
+    );
+  });
+}
+
+export function sumWeights(actions: Array<Action>) {
+  return actions.reduce((total, action) => total + action.weight, 0);
+}
+
+/**
+ * Escapes glob wildcards in `value`, so that it only matches itself in a pattern.
+ */
+export function escapeGlob(value: string) {
+  return value.replace(/[*?[\]\\]/g, '\\$&');
+}
+
+/**
+ * Converts a glob-style pattern, as used by Redis' `SCAN`, to a regular expression. Supports `*`,
+ * `?`, character classes such as `[a-z]` and `[^0]`, and escaping with `\`.
+ */
+function globToRegExp(pattern: string) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const classEnd = char === '[' ? pattern.indexOf(']', i + 2) : -1;
+    if (char === '*') {
+      source += '.*';
+    } else if (char === '?') {
+      source += '.';
+    } else if (classEnd !== -1) {
+      source += `[${pattern.slice(i + 1, classEnd).replace(/\\/g, '\\\\')}]`;
+      i = classEnd;
+    } else {
+      if (char === '\\' && i + 1 < pattern.length) i++;
+      source += pattern[i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 's');
+}
+
+/**
+ * Start of the keys that stores derive from a key, for state kept apart from the key's own, such as
+ * bans and limit overrides. Derived keys start with this rather than with the key, so that patterns matching
+ * a rate limiter's keys do not match them, and `listKeys` skips them when a pattern would.
+ */
+const derivedKeyPrefix = 'rolling-rate-limiter:';
+
+function makeDerivedKey(key: string, kind: 'violations' | 'ban' | 'limits') {
+  return `${derivedKeyPrefix}${kind}:${key}`;
+}
+
+/**
+ * State of an `InMemoryStore`, returned by `exportState`. It only contains JSON values, so that it
+ * can be saved and loaded with `JSON.stringify` and `JSON.parse`.
+ */
+export interface InMemoryStoreState {
+  version: 1;
+  /** Entries in least recently used order. */
+  entries: Array<[string, InMemoryEntryState]>;
+  limitOverrides: Array<[string, Partial<RateLimitTierOptions>]>;
+}
+
+/**
+ * A single key of `InMemoryStoreState`, with the time at which it expires, in microseconds.
+ */
+export interface InMemoryEntryState {
+  actions: Array<Action>;
+  counts?: { window: number; previous: number; current: number };
+  arrivalTime?: Microseconds;
+  violations?: Array<Microseconds>;
+  ban?: { until: Microseconds; bans: number };
+  expiresAt: Microseconds;
+}
+
+export interface InMemoryStoreOptions {
+  maxKeys?: number;
+  sweepInterval?: number;
+}
+
+interface InMemoryEntry {
+  actions: Array<Action>;
+  /** Only set for keys used by the sliding window counter algorithm. */
+  counts?: { window: number; previous: number; current: number };
+  /** Only set for keys used by the token bucket algorithm. */
+  arrivalTime?: Microseconds;
+  /** Only set for the violations keys of the penalty box. */
+  violations?: Array<Microseconds>;
+  /** Only set for the ban keys of the penalty box. */
+  ban?: { until: Microseconds; bans: number };
+  /** The sweep at which this entry expires, unless new actions are recorded before then. */
+  expiresAtSweep: number;
+}
+
+/**
+ * Store that keeps state in memory. If `maxKeys` is set, the least recently used keys are evicted
+ * once there are more than that many.
+ *
+ * Expired keys are removed by a single timer that runs every `sweepInterval` milliseconds, and
+ * stops whenever the store is empty. Keys are kept in buckets by the sweep at which they expire, so
+ * each sweep only looks at the keys that may have expired.
+ */
+export class InMemoryStore implements RateLimitStore {
+  storage: Map<string, InMemoryEntry>;
+  /** Limits set with `setLimitOverride`. Kept apart from `storage`, so they are never evicted. */
+  limitOverrides: Map<string, Partial<RateLimitTierOptions>>;
+  /**
+   * Violations and bans of the penalty box, by derived key. Kept apart from `storage`, so they are
+   * never evicted and do not count toward `maxKeys`. They still expire.
+   */
+  penaltyBox: Map<string, InMemoryEntry>;
+  maxKeys: number;
+  sweepInterval: Milliseconds;
+  private sweepCount: number;
+  private sweepBuckets: Map<number, Array<string>>;
+  private sweeper: NodeJS.Timeout | null;
+
+  constructor({ maxKeys = Infinity, sweepInterval = 1000 }: InMemoryStoreOptions = {}) {
+    assert(maxKeys > 0, '`options.maxKeys` must be a positive number');
+    assert(sweepInterval > 0, '`options.sweepInterval` must be a positive number');
+
+    this.storage = new Map<string, InMemoryEntry>();
+    this.limitOverrides = new Map<string, Partial<RateLimitTierOptions>>();
+    this.penaltyBox = new Map<string, InMemoryEntry>();
+    this.maxKeys = maxKeys;
+    this.sweepInterval = sweepInterval as Milliseconds;
+    this.sweepCount = 0;
+    this.sweepBuckets = new Map<number, Array<string>>();
+    this.sweeper = null;
+  }
+
+  async clear(key: string) {
+    this.storage.delete(key);
+  }
+
+  /**
+   * Returns the store's state, with expiry times based on `now`.
+   */
+  exportState(now: Microseconds): InMemoryStoreState {
+    const storedEntries = [...Array.from(this.storage), ...Array.from(this.penaltyBox)];
+    const entries = storedEntries.map(([key, { expiresAtSweep, ...entry }]) => {
+      const sweepsUntilExpiry = expiresAtSweep - this.sweepCount;
+      const expiresAt =
+        (now as number) +
+        millisecondsToMicroseconds(this.sweepInterval) * sweepsUntilExpiry;
+      return [key, { ...entry, expiresAt: expiresAt as Microseconds }] as [
+        string,
+        InMemoryEntryState,
+      ];
+    });
+    return { version: 1, entries, limitOverrides: Array.from(this.limitOverrides) };
+  }
+
+  /**
+   * Adds the keys in `state`, returned by `exportState`, replacing any that are already stored.
+   * Keys that expired by `now` are skipped. Returns how many keys were imported.
+   */
+  importState(state: InMemoryStoreState, now: Microseconds): number {
+    if (state.version !== 1) {
+      throw new Error(`Unsupported rate limiter state version: ${String(state.version)}`);
+    }
+
+    let imported = 0;
+    for (const [key, { expiresAt, ...entry }] of state.entries) {
+      if (expiresAt <= now) continue;
+      this.set(key, {
+        ...entry,
+        expiresAtSweep: this.getExpirySweep((expiresAt - now) as Microseconds),
+      });
+      imported++;
+    }
+    for (const [key, limits] of state.limitOverrides)
+      this.limitOverrides.set(key, limits);
+    return imported;
+  }
+
+  async removeAction(key: string, actionId: string) {
+    const entry = this.storage.get(key);
+    const index = entry
+      ? entry.actions.findIndex((action) => action.id === actionId)
+      : -1;
+    if (!entry || index === -1) return false;
+    this.set(key, {
+      ...entry,
+      actions: entry.actions.filter((_action, i) => i !== index),
+    });
+    return true;
+  }
+
+  /**
+   * The cursor is the number of matching keys already returned. Keys are walked in least recently
+   * used order, so keys used while paging may be skipped or returned twice.
+   */
+  async listKeys({ match, cursor, count }: ListKeysOptions): Promise<ListKeysResult> {
+    const regExp = globToRegExp(match);
+    const matchingKeys = Array.from(this.storage.keys()).filter((key) =>
+      regExp.test(key),
+    );
+    const start = Number(cursor || 0);
+    const end = start + count;
+    return {
+      keys: matchingKeys.slice(start, end),
+      cursor: end < matchingKeys.length ? String(end) : null,
+    };
+  }
+
+  async clearByPattern(pattern: string) {
+    const regExp = globToRegExp(pattern);
+    let cleared = 0;
+    for (const key of Array.from(this.storage.keys())) {
+      if (regExp.test(key)) {
+        this.storage.delete(key);
+        cleared++;
+      }
+    }
+    return cleared;
+  }
+
+  async getActions(key: string, options: GetActionsOptions) {
+    const [storedActions] = await this.getManyActions([key], options);
+    return storedActions;
+  }
+
+  async getManyActions(
+    keys: Array<string>,
+    {
+      clearBefore,
+      expireAfter,
+      newAction,
+      onlyIfAllowedBy,
+      allOrNothing,
+      unlessBannedAt,
+    }: GetManyActionsOptions,
+  ) {
+    keys.forEach((key) => this.throwIfBanned(key, unlessBannedAt));
+    const entries = keys.map((key) => this.storage.get(key));
+    // Update the stored actions, including filtering out old ones, and adding the new one.
+    const storedActions = entries.map((entry) =>
+      (entry ? entry.actions : []).filter((a) => a.timestamp > clearBefore),
+    );
+
+    const blocked = storedActions.map(
+      (actions) =>
+        newAction &&
+        onlyIfAllowedBy &&
+        isBlockedByTiers(onlyIfAllowedBy, actions, newAction),
+    );
+    const blockAll = allOrNothing && blocked.some(Boolean);
+    keys.forEach((key, i) => {
+      const entry = entries[i];
+      if (newAction && !blocked[i] && !blockAll) {
+        const otherActions =
+          newAction.id == null
+            ? storedActions[i]
+            : storedActions[i].filter((a) => a.id !== newAction.id);
+        this.set(key, {
+          actions: [...otherActions, newAction],
+          expiresAtSweep: this.getExpirySweep(expireAfter),
+        });
+      } else if (entry) {
+        this.set(key, { ...entry, actions: storedActions[i] });
+      }
+    });
+
+    return storedActions;
+  }
+
+  async getCounts(
+    key: string,
+    {
+      now,
+      interval,
+      expireAfter,
+      increment,
+      onlyIfWithin,
+      unlessBannedAt,
+    }: GetCountsOptions,
+  ): Promise<WindowCounts> {
+    this.throwIfBanned(key, unlessBannedAt);
+    const window = Math.floor(now / interval);
+    const elapsed = (now - window * interval) as Microseconds;
+    const entry = this.storage.get(key);
+    const counts = entry && entry.counts;
+    let previous = 0;
+    let current = 0;
+    if (counts && counts.window === window) {
+      previous = counts.previous;
+      current = counts.current;
+    } else if (counts && counts.window === window - 1) {
+      previous = counts.current;
+    }
+
+    const blocked =
+      increment &&
+      onlyIfWithin != null &&
+      previous * (1 - elapsed / interval) + current + increment > onlyIfWithin;
+    if (increment && !blocked) {
+      this.set(key, {
+        actions: [],
+        counts: { window, previous, current: current + increment },
+        expiresAtSweep: this.getExpirySweep(expireAfter),
+      });
+    } else if (entry) {
+      // Still refresh the key's position in the LRU order.
+      this.set(key, entry);
+    }
+
+    return { previous, current, elapsed };
+  }
+
+  async getArrivalTime(
+    key: string,
+    { now, increment, onlyIfWithin, unlessBannedAt }: GetArrivalTimeOptions,
+  ): Promise<Microseconds | null> {
+    this.throwIfBanned(key, unlessBannedAt);
+    const entry = this.storage.get(key);
+    const storedArrivalTime =
+      entry && entry.arrivalTime != null ? entry.arrivalTime : null;
+
+    if (increment) {
+      const arrivalTime = (Math.max(storedArrivalTime || now, now) +
+        (increment as number)) as Microseconds;
+      if (onlyIfWithin == null || arrivalTime - now <= onlyIfWithin) {
+        this.set(key, {
+          actions: [],
+          arrivalTime,
+          expiresAtSweep: this.getExpirySweep((arrivalTime - now) as Microseconds),
+        });
+        return storedArrivalTime;
+      }
+    }
+    if (entry) this.set(key, entry);
+
+    return storedArrivalTime;
+  }
+
+  /**
+   * Violations and bans are kept in their own keys, derived from the key, so that they expire
+   * separately from each other and from the key's actions.
+   */
+  async recordViolation(
+    key: string,
+    {
+      now,
+      window,
+      maxViolations,
+      banDuration,
+      maxBanDuration,
+      forgetAfter,
+    }: RecordViolationOptions,
+  ) {
+    const violationsKey = makeDerivedKey(key, 'violations');
+    const banKey = makeDerivedKey(key, 'ban');
+    const entry = this.penaltyBox.get(violationsKey);
+    const violations = [
+      ...((entry && entry.violations) || []).filter(
+        (timestamp) => timestamp > now - window,
+      ),
+      now,
+    ];
+    if (violations.length < maxViolations) {
+      this.set(violationsKey, {
+        actions: [],
+        violations,
+        expiresAtSweep: this.getExpirySweep(window),
+      });
+      return null;
+    }
+
+    this.penaltyBox.delete(violationsKey);
+    const banEntry = this.penaltyBox.get(banKey);
+    const bans = banEntry && banEntry.ban ? banEntry.ban.bans : 0;
+    const duration = Math.min(banDuration * 2 ** bans, maxBanDuration);
+    const until = ((now as number) + duration) as Microseconds;
+    this.set(banKey, {
+      actions: [],
+      ban: { until, bans: bans + 1 },
+      expiresAtSweep: this.getExpirySweep(
+        (duration + (forgetAfter as number)) as Microseconds,
+      ),
+    });
+    return until;
+  }
+
+  async unban(key: string) {
+    this.penaltyBox.delete(makeDerivedKey(key, 'violations'));
+    this.penaltyBox.delete(makeDerivedKey(key, 'ban'));
+  }
+
+  async getLimitOverride(key: string) {
+    return this.limitOverrides.get(key) || null;
+  }
+
+  async setLimitOverride(key: string, limits: Partial<RateLimitTierOptions>) {
+    this.limitOverrides.set(key, limits);
+  }
+
+  async clearLimitOverride(key: string) {
+    this.limitOverrides.delete(key);
+  }
+
+  /**
+   * Stops the sweeper and clears all state. Call this when the store is no longer needed, so that
+   * its timer does not keep running.
+   */
+  dispose() {
+    if (this.sweeper) clearInterval(this.sweeper);
+    this.sweeper = null;
+    this.storage.clear();
+    this.limitOverrides.clear();
+    this.penaltyBox.clear();
+    this.sweepBuckets.clear();
+  }
+
+  private throwIfBanned(key: string, at: Microseconds | undefined) {
+    if (at == null) return;
+    const entry = this.penaltyBox.get(makeDerivedKey(key, 'ban'));
+    if (entry && entry.ban && entry.ban.until > at)
+      throw new KeyBannedError(entry.ban.until);
+  }
+
+  private set(key: string, entry: InMemoryEntry) {
+    const map = this.getMap(key);
+    const previousEntry = map.get(key);
+
+    // Re-inserting moves the key to the end of the map, which keeps the map in LRU order.
+    map.delete(key);
+    map.set(key, entry);
+    if (this.storage.size > this.maxKeys) {
+      this.storage.delete(this.storage.keys().next().value);
+    }
+
+    // Keys that were already scheduled are moved to their new bucket once their old one is swept.
+    if (!previousEntry) this.schedule(key, entry.expiresAtSweep);
+    if (!this.sweeper) {
+      this.sweeper = setInterval(() => this.sweep(), this.sweepInterval);
+      if (this.sweeper.unref) this.sweeper.unref();
+    }
+  }
+
+  private getMap(key: string) {
+    return key.startsWith(derivedKeyPrefix) ? this.penaltyBox : this.storage;
+  }
+
+  private getExpirySweep(expireAfter: Microseconds) {
+    const sweepsUntilExpiry = Math.ceil(
+      microsecondsToMilliseconds(expireAfter) / this.sweepInterval,
+    );
+    return this.sweepCount + Math.max(1, sweepsUntilExpiry);
+  }
+
+  private schedule(key: string, sweep: number) {
+    const bucket = this.sweepBuckets.get(sweep);
+    if (bucket) {
+      bucket.push(key);
+    } else {
+      this.sweepBuckets.set(sweep, [key]);
+    }
+  }
+
+  private sweep() {
+    this.sweepCount++;
+    const bucket = this.sweepBuckets.get(this.sweepCount) || [];
+    this.sweepBuckets.delete(this.sweepCount);
+
+    for (const key of bucket) {
+      const map = this.getMap(key);
+      const entry = map.get(key);
+      if (!entry) continue;
+      if (entry.expiresAtSweep <= this.sweepCount) {
+        map.delete(key);
+      } else {
+        this.schedule(key, entry.expiresAtSweep);
+      }
+    }
+
+    if (this.storage.size === 0 && this.penaltyBox.size === 0 && this.sweeper) {
+      clearInterval(this.sweeper);
+      this.sweeper = null;
+    }
+  }
+}
+
+/**
+ * Minimal interface of a Redis client needed for algorithm.
+ * Ideally, this would be `RedisClient | IORedisClient | IORedisCluster`, but that would force
+ * consumers of this library to have `@types/redis` and `@types/ioredis` to be installed.
+ */
+export interface RedisClient {
+  /** Only set by ioredis, and only `true` for `Cluster` instances. */
+  isCluster?: boolean;
+  /** Only implemented by ioredis `Cluster` instances. */
+  nodes?(role: 'master'): Array<RedisClient>;
+  del(...args: Array<unknown>): unknown;
+  get(key: string, cb: RedisCallback): unknown;
+  multi(): RedisBatch;
+  scan(...args: Array<unknown>): unknown;
+  set(...args: Array<unknown>): unknown;
+  zrem(...args: Array<unknown>): unknown;
+  eval(...args: Array<unknown>): unknown;
+  evalsha(...args: Array<unknown>): unknown;
+}
+
+type RedisCallback = (err: Error | null, result: unknown) => void;
+
+/** Minimal interface of a Redis batch command needed for algorithm. */
+interface RedisBatch {
+  zremrangebyscore(key: string, min: number, max: number): void;
+  zadd(key: string, score: string | number, value: string): void;
+  zrange(key: string, min: number, max: number, withScores: unknown): void;
+  expire(key: string, time: number): void;
+  exec(cb: (err: Error | null, result: Array<unknown>) => void): void;
+}
+
+/**
+ * Lua preludes of the scripts that are passed the caller's current time as `ARGV[1]`. With
+ * `serverTime`, `shift` is how far the Redis server's clock, from `TIME`, is ahead of the caller's,
+ * and is otherwise 0. Scripts move the times they are passed forward by `shift`, and those they
+ * return back, so that stored state only uses the server's clock. Calling `TIME` before writing
+ * needs Redis 5 or later, which replicates the effects of scripts rather than the scripts.
+ */
+const timePreludes = {
+  local: `
+local shift = 0
+`,
+  server: `
+local time = redis.call('TIME')
+local shift = time[1] * 1000000 + time[2] - tonumber(ARGV[1])
+`,
+};
+
+/**
+ * Lua functions included in every script with a time prelude, to convert times kept as strings.
+ * They are formatted with `%.0f`, since `tostring` would round microsecond timestamps to 14
+ * significant digits.
+ */
+const shiftFunctions = `
+local function toServerTime(time)
+  if shift == 0 then return time end
+  return string.format('%.0f', tonumber(time) + shift)
+end
+
+local function toCallerTime(time)
+  if shift == 0 then return time end
+  return string.format('%.0f', tonumber(time) - shift)
+end
+`;
+
+/**
+ * A Lua script, along with its SHA, for `EVALSHA`.
+ */
+interface RedisScript {
+  script: string;
+  sha: string;
+}
+
+/**
+ * Returns the variants of a script that is passed the caller's time as `ARGV[1]`, with each of
+ * the time preludes.
+ */
+function makeTimedScripts(body: string): Record<keyof typeof timePreludes, RedisScript> {
+  const makeScript = (prelude: string) => {
+    const script = `${prelude}${shiftFunctions}${body}`;
+    return { script, sha: createHash('sha1').update(script).digest('hex') };
+  };
+  return {
+    local: makeScript(timePreludes.local),
+    server: makeScript(timePreludes.server),
+  };
+}
+
+/**
+ * Lua function included in scripts that support `unlessBannedAt`. Returns a `BANNED <until>` error
+ * reply if the ban stored in `banKey`, as `until:bans`, ends after `bannedAt`, which the script
+ * should return before writing anything. Both times are the server's.
+ */
+const checkBanFunction = `
+local function checkBan(banKey, bannedAt)
+  local ban = redis.call('GET', banKey)
+  local bannedUntil = ban and string.match(ban, '^(%d+):')
+  if bannedUntil and tonumber(bannedUntil) > bannedAt then
+    return redis.error_reply('BANNED ' .. toCallerTime(bannedUntil))
+  end
+end
+`;
+
+/**
+ * Lua script used by `getManyActions` when `onlyIfAllowedBy`, `unlessBannedAt` or `serverTime` is
+ * set. For every key, trims old actions and only stores the new one, if there is one, if it is
+ * allowed by every tier, all atomically. If `allOrNothing` is `'1'`, the new action is only stored
+ * if every key allows it. If `ARGV[7]` is not negative, the second half of `KEYS` are the bans of
+ * the first half, which are checked first. Returns the stored actions of each key from before the
+ * new one was added. Tiers are passed as `interval, maxInInterval, minDifference` triples of
+ * arguments.
+ */
+const conditionalAddScripts = makeTimedScripts(`${checkBanFunction}
+local now = tonumber(ARGV[1]) + shift
+local weight = tonumber(ARGV[5])
+local allOrNothing = ARGV[6] == '1'
+local bannedAt = tonumber(ARGV[7])
+local keyCount = #KEYS
+
+if bannedAt >= 0 then
+  keyCount = #KEYS / 2
+  for k = keyCount + 1, #KEYS do
+    local err = checkBan(KEYS[k], bannedAt + shift)
+    if err then return err end
+  end
+end
+
+local results = {}
+local blocked = {}
+local anyBlocked = false
+for k = 1, keyCount do
+  redis.call('ZREMRANGEBYSCORE', KEYS[k], 0, toServerTime(ARGV[2]))
+  local zRangeResult = redis.call('ZRANGE', KEYS[k], 0, -1, 'WITHSCORES')
+  results[k] = zRangeResult
+  blocked[k] = false
+
+  for t = 8, #ARGV, 3 do
+    local windowStart = now - tonumber(ARGV[t])
+    local maxInInterval = tonumber(ARGV[t + 1])
+    local minDifference = tonumber(ARGV[t + 2])
+
+    local totalWeight = 0
+    local lastTimestamp = nil
+    for i = 1, #zRangeResult, 2 do
+      local timestamp = tonumber(zRangeResult[i + 1])
+      if timestamp > windowStart then
+        totalWeight = totalWeight + (tonumber(string.match(zRangeResult[i], ':([^:]+)$')) or 1)
+        lastTimestamp = timestamp
+      end
+    end
+
+    if totalWeight + weight > maxInInterval then
+      blocked[k] = true
+    elseif minDifference > 0 and lastTimestamp and now - lastTimestamp < minDifference then
+      blocked[k] = true
+    end
+  end
+  anyBlocked = anyBlocked or blocked[k]
+end
+
+for k = 1, keyCount do
+  if ARGV[4] ~= '' and not blocked[k] and not (allOrNothing and anyBlocked) then
+    redis.call('ZADD', KEYS[k], toServerTime(ARGV[1]), ARGV[4])
+  end
+  redis.call('EXPIRE', KEYS[k], ARGV[3])
+  for i = 2, #results[k], 2 do
+    results[k][i] = toCallerTime(results[k][i])
+  end
+end
+
+return results
+`);
+
+/**
+ * Lua script used by `getCounts`. Counts are kept in a hash, with a field for each fixed window of
+ * `ARGV[2]`, named after its index. Increments the current window's count, if there is an
+ * increment, and drops older windows, all atomically. If `ARGV[5]` is not negative, only
+ * increments if the estimate, with the previous count weighted by how much of it is still within
+ * `ARGV[2]`, stays within it. If `ARGV[6]` is not negative, `KEYS[2]` is the key's ban, which is
+ * checked first. Returns the counts from before the increment, and how long ago the current window
+ * started, as strings since Lua numbers are truncated to integers in replies.
+ */
+const countsScripts = makeTimedScripts(`${checkBanFunction}
+if tonumber(ARGV[6]) >= 0 then
+  local err = checkBan(KEYS[2], tonumber(ARGV[6]) + shift)
+  if err then return err end
+end
+
+local now = tonumber(ARGV[1]) + shift
+local interval = tonumber(ARGV[2])
+local window = math.floor(now / interval)
+local elapsed = now - window * interval
+local previousField = string.format('%.0f', window - 1)
+local currentField = string.format('%.0f', window)
+local previous = tonumber(redis.call('HGET', KEYS[1], previousField) or '0')
+local current = tonumber(redis.call('HGET', KEYS[1], currentField) or '0')
+local increment = tonumber(ARGV[3])
+local limit = tonumber(ARGV[5])
+local estimate = previous * (1 - elapsed / interval) + current
+
+if increment > 0 and (limit < 0 or estimate + increment <= limit) then
+  for _, field in ipairs(redis.call('HKEYS', KEYS[1])) do
+    if tonumber(field) < window - 1 then
+      redis.call('HDEL', KEYS[1], field)
+    end
+  end
+  redis.call('HINCRBYFLOAT', KEYS[1], currentField, ARGV[3])
+  redis.call('EXPIRE', KEYS[1], ARGV[4])
+end
+
+return {tostring(previous), tostring(current), tostring(elapsed)}
+`);
+
+/**
+ * Lua script used by `getArrivalTime` to move the arrival time forward atomically, if there is an
+ * increment. A negative limit means there is none. If `ARGV[4]` is not negative, `KEYS[2]` is the
+ * key's ban, which is checked first.
+ */
+const arrivalTimeScripts = makeTimedScripts(`${checkBanFunction}
+if tonumber(ARGV[4]) >= 0 then
+  local err = checkBan(KEYS[2], tonumber(ARGV[4]) + shift)
+  if err then return err end
+end
+
+local now = tonumber(ARGV[1]) + shift
+local increment = tonumber(ARGV[2])
+local limit = tonumber(ARGV[3])
+local stored = redis.call('GET', KEYS[1])
+local arrivalTime = math.max(tonumber(stored or 0), now) + increment
+
+if increment > 0 and (limit < 0 or arrivalTime - now <= limit) then
+  local ttl = math.max(1, math.ceil((arrivalTime - now) / 1000))
+  redis.call('SET', KEYS[1], string.format('%.0f', arrivalTime), 'PX', ttl)
+end
+
+return stored and toCallerTime(stored)
+`);
+
+/**
+ * Lua script used by `recordViolation`. `KEYS[1]` is a sorted set of violations, scored by their
+ * timestamps, and `KEYS[2]` is the ban, stored as `until:bans`. Returns when the new ban ends, if
+ * the key was banned.
+ */
+const recordViolationScripts = makeTimedScripts(`
+local now = tonumber(ARGV[1]) + shift
+local window = tonumber(ARGV[2])
+local banDuration = tonumber(ARGV[4])
+local maxBanDuration = tonumber(ARGV[5])
+local forgetAfter = tonumber(ARGV[6])
+
+redis.call('ZREMRANGEBYSCORE', KEYS[1], 0, now - window)
+redis.call('ZADD', KEYS[1], toServerTime(ARGV[1]), ARGV[7])
+if redis.call('ZCARD', KEYS[1]) < tonumber(ARGV[3]) then
+  redis.call('PEXPIRE', KEYS[1], math.ceil(window / 1000))
+  return false
+end
+
+redis.call('DEL', KEYS[1])
+local stored = redis.call('GET', KEYS[2])
+local bans = stored and tonumber(string.match(stored, ':(%d+)$')) or 0
+local duration = math.min(banDuration * 2 ^ bans, maxBanDuration)
+local bannedUntil = string.format('%.0f', now + duration)
+local ttl = math.ceil((duration + forgetAfter) / 1000)
+redis.call('SET', KEYS[2], bannedUntil .. ':' .. (bans + 1), 'PX', ttl)
+return toCallerTime(bannedUntil)
+`);
+
+/**
+ * Lua script used by `getServerTime`. Formatted with `%.0f`, like arrival times.
+ */
+const serverTimeScript = `
+local time = redis.call('TIME')
+return string.format('%.0f', time[1] * 1000000 + time[2])
+`;
+const serverTimeScriptSha = createHash('sha1').update(serverTimeScript).digest('hex');
+
+export interface RedisStoreOptions {
+  client: RedisClient;
+  serverTime?: boolean;
+}
+
+/**
+ * Store that keeps state in Redis. Each key is a sorted set, whose scores are the timestamps of
+ * actions, and whose members are `uuid:weight`. If `serverTime` is set, state is stored using the
+ * Redis server's clock, read with `TIME` in the same script, and times are converted from and to
+ * the caller's clock, so that callers with skewed clocks still agree.
+ */
+export class RedisStore implements RateLimitStore {
+  client: RedisClient;
+  serverTime: boolean;
+
+  constructor({ client, serverTime = false }: RedisStoreOptions) {
+    this.client = client;
+    this.serverTime = serverTime;
+  }
+
+  async clear(key: string) {
+    await this.client.del(key);
+  }
+
+  /**
+   * Action ids are the members of the key's sorted set, so this is a single `ZREM`.
+   */
+  async removeAction(key: string, actionId: string) {
+    const removed = await new Promise((resolve, reject) => {
+      this.client.zrem(key, actionId, (err: Error | null, result: unknown) =>
+        err ? reject(err) : resolve(result),
+      );
+    });
+    return Number(removed) > 0;
+  }
+
+  /**
+   * Uses `SCAN`, which never blocks Redis for long, unlike `KEYS`. With Redis Cluster, each master
+   * node is scanned in turn, and cursors are prefixed with the index of the node.
+   */
+  async listKeys({ match, cursor, count }: ListKeysOptions): Promise<ListKeysResult> {
+    if (!this.client.isCluster || !this.client.nodes) {
+      return this.scan(this.client, { match, cursor, count });
+    }
+
+    const nodes = this.client.nodes('master');
+    if (nodes.length === 0) throw new Error('The Redis Cluster has no master nodes');
+    const separatorIndex = cursor ? cursor.indexOf(':') : -1;
+    const nodeIndex = cursor ? Number(cursor.slice(0, separatorIndex)) : 0;
+    const page = await this.scan(nodes[nodeIndex], {
+      match,
+      cursor: cursor ? cursor.slice(separatorIndex + 1) : null,
+      count,
+    });
+
+    let nextCursor = null;
+    if (page.cursor) {
+      nextCursor = `${nodeIndex}:${page.cursor}`;
+    } else if (nodeIndex + 1 < nodes.length) {
+      nextCursor = `${nodeIndex + 1}:0`;
+    }
+    return { keys: page.keys, cursor: nextCursor };
+  }
+
+  /**
+   * Scans for matching keys, and deletes them one page at a time. With Redis Cluster, the keys in
+   * each hash slot are deleted separately.
+   */
+  async clearByPattern(pattern: string) {
+    let cleared = 0;
+    let cursor: string | null = null;
+    do {
+      const page: ListKeysResult = await this.listKeys({
+        match: pattern,
+        cursor,
+        count: 1000,
+      });
+      for (const group of this.groupBySlot(page.keys)) {
+        if (group.length === 0) continue;
+        // `SCAN` may return a key more than once, so count what `DEL` actually deleted.
+        const deleted = await new Promise((resolve, reject) => {
+          this.client.del(
+            ...group.map((i) => page.keys[i]),
+            (err: Error | null, result: unknown) => (err ? reject(err) : resolve(result)),
+          );
+        });
+        cleared += Number(deleted);
+      }
+      cursor = page.cursor;
+    } while (cursor);
+    return cleared;
+  }
+
+  async getActions(key: string, options: GetActionsOptions): Promise<Array<Action>> {
+    const [storedActions] = await this.getManyActions([key], options);
+    return storedActions;
+  }
+
+  /**
+   * All keys are handled in a single transaction, or a single script if `onlyIfAllowedBy`,
+   * `unlessBannedAt` or `serverTime` is set.
+   * With Redis Cluster, the keys in each hash slot are handled separately, so `allOrNothing` needs
+   * every key to be in the same slot.
+   */
+  async getManyActions(
+    keys: Array<string>,
+    options: GetManyActionsOptions,
+  ): Promise<Array<Array<Action>>> {
+    const slotGroups = this.groupBySlot(keys);
+    if (slotGroups.length <= 1) return this.getManyActionsInSlot(keys, options);
+    if (options.allOrNothing) {
+      throw new Error(
+        '`allOrNothing` needs every key to be in the same Redis Cluster slot',
+      );
+    }
+
+    const results: Array<Array<Action>> = [];
+    await Promise.all(
+      slotGroups.map(async (group) => {
+        const groupResults = await this.getManyActionsInSlot(
+          group.map((i) => keys[i]),
+          options,
+        );
+        group.forEach((keyIndex, i) => {
+          results[keyIndex] = groupResults[i];
+        });
+      }),
+    );
+    return results;
+  }
+
+  private async scan(
+    client: RedisClient,
+    { match, cursor, count }: ListKeysOptions,
+  ): Promise<ListKeysResult> {
+    const [nextCursor, keys] = (await new Promise<unknown>((resolve, reject) => {
+      client.scan(
+        cursor || '0',
+        'MATCH',
+        match,
+        'COUNT',
+        count,
+        (err: Error | null, result: unknown) => (err ? reject(err) : resolve(result)),
+      );
+    })) as [unknown, Array<unknown>];
+    // Convert with `String` because values may be buffers or strings.
+    return {
+      keys: keys.map(String).filter((key) => !key.startsWith(derivedKeyPrefix)),
+      cursor: String(nextCursor) === '0' ? null : String(nextCursor),
+    };
+  }
+
+  /**
+   * Groups the indexes of `keys` by hash slot with Redis Cluster. Otherwise, all keys are in a
+   * single group, since a single node can handle any keys together.
+   */
+  private groupBySlot(keys: Array<string>) {
+    if (!this.client.isCluster) return [keys.map((_key, i) => i)];
+
+    const groups = new Map<number, Array<number>>();
+    keys.forEach((key, i) => {
+      const slot = getKeySlot(key);
+      const group = groups.get(slot);
+      if (group) {
+        group.push(i);
+      } else {
+        groups.set(slot, [i]);
+      }
+    });
+    return Array.from(groups.values());
+  }
+
+  private async getManyActionsInSlot(
+    keys: Array<string>,
+    {
+      clearBefore,
+      expireAfter,
+      now,
+      newAction,
+      onlyIfAllowedBy,
+      allOrNothing,
+      unlessBannedAt,
+    }: GetManyActionsOptions,
+  ): Promise<Array<Array<Action>>> {
+    if (keys.length === 0) return [];
+    const ttl = microsecondsToSeconds(expireAfter);
+
+    if ((newAction && onlyIfAllowedBy) || unlessBannedAt != null || this.serverTime) {
+      const banKeys =
+        unlessBannedAt == null ? [] : keys.map((key) => makeDerivedKey(key, 'ban'));
+      const zRangeOutputs = await this.runTimedScript(
+        conditionalAddScripts,
+        [...keys, ...banKeys],
+        [
+          newAction ? newAction.timestamp : now,
+          clearBefore,
+          ttl,
+          newAction ? makeMember(newAction) : '',
+          newAction ? newAction.weight : 0,
+          allOrNothing ? 1 : 0,
+          unlessBannedAt == null ? -1 : unlessBannedAt,
+          ...flatten(
+            (onlyIfAllowedBy || []).map((t) => [
+              t.interval,
+              t.maxInInterval,
+              t.minDifference,
+            ]),
+          ),
+        ],
+      );
+      return (zRangeOutputs as Array<Array<unknown>>).map((zRangeOutput) =>
+        this.extractActionsFromZRangeResult(this.getZRangeResult(zRangeOutput)),
+      );
+    }
+
+    const batch = this.client.multi();
+    for (const key of keys) {
+      batch.zremrangebyscore(key, 0, clearBefore);
+      batch.zrange(key, 0, -1, 'WITHSCORES');
+      if (newAction) {
+        batch.zadd(key, String(newAction.timestamp), makeMember(newAction));
+      }
+      batch.expire(key, ttl);
+    }
+    const commandsPerKey = newAction ? 4 : 3;
+
+    return new Promise((resolve, reject) => {
+      batch.exec((err, result) => {
+        if (err) return reject(err);
+
+        return resolve(
+          keys.map((_key, i) => {
+            const zRangeOutput = result[i * commandsPerKey + 1] as Array<unknown>;
+            const zRangeResult = this.getZRangeResult(zRangeOutput);
+            return this.extractActionsFromZRangeResult(zRangeResult);
+          }),
+        );
+      });
+    });
+  }
+
+  /**
+   * Counts are kept in a single hash per key, with a field for each fixed window, so that `clear`
+   * removes them like any other state.
+   */
+  async getCounts(
+    key: string,
+    {
+      now,
+      interval,
+      expireAfter,
+      increment,
+      onlyIfWithin,
+      unlessBannedAt,
+    }: GetCountsOptions,
+  ): Promise<WindowCounts> {
+    const [previous, current, elapsed] = (await this.runTimedScript(
+      countsScripts,
+      unlessBannedAt == null ? [key] : [key, makeDerivedKey(key, 'ban')],
+      [
+        now,
+        interval,
+        increment || 0,
+        microsecondsToSeconds(expireAfter),
+        onlyIfWithin == null ? -1 : onlyIfWithin,
+        unlessBannedAt == null ? -1 : unlessBannedAt,
+      ],
+    )) as Array<unknown>;
+    return {
+      previous: Number(previous),
+      current: Number(current),
+      elapsed: Number(elapsed) as Microseconds,
+    };
+  }
+
+  /**
+   * The arrival time is stored as a plain string key, which expires once it has passed.
+   */
+  async getArrivalTime(
+    key: string,
+    { now, increment, onlyIfWithin, unlessBannedAt }: GetArrivalTimeOptions,
+  ): Promise<Microseconds | null> {
+    let stored;
+    if (increment || unlessBannedAt != null || this.serverTime) {
+      stored = await this.runTimedScript(
+        arrivalTimeScripts,
+        unlessBannedAt == null ? [key] : [key, makeDerivedKey(key, 'ban')],
+        [
+          now,
+          increment || 0,
+          onlyIfWithin == null ? -1 : onlyIfWithin,
+          unlessBannedAt == null ? -1 : unlessBannedAt,
+        ],
+      );
+    } else {
+      stored = await new Promise((resolve, reject) => {
+        this.client.get(key, (err: Error | null, result: unknown) =>
+          err ? reject(err) : resolve(result),
+        );
+      });
+    }
+    return stored == null ? null : (Number(stored) as Microseconds);
+  }
+
+  /**
+   * Returns the current time of the Redis server, from `TIME`. Rate limiters can use it as their
+   * `clock`, at the cost of a round trip per call, which `serverTime` avoids.
+   */
+  async getServerTime(): Promise<Microseconds> {
+    const time = await this.runScript(serverTimeScript, serverTimeScriptSha, [], []);
+    return Number(time) as Microseconds;
+  }
+
+  /**
+   * Violations are kept in a sorted set, and bans in a string, in keys derived from the key that
+   * keep its hash tag. Both are updated in a single script, and the action scripts check the ban.
+   */
+  async recordViolation(
+    key: string,
+    {
+      now,
+      window,
+      maxViolations,
+      banDuration,
+      maxBanDuration,
+      forgetAfter,
+    }: RecordViolationOptions,
+  ): Promise<Microseconds | null> {
+    const bannedUntil = await this.runTimedScript(
+      recordViolationScripts,
+      [makeDerivedKey(key, 'violations'), makeDerivedKey(key, 'ban')],
+      [now, window, maxViolations, banDuration, maxBanDuration, forgetAfter, uuid()],
+    );
+    return bannedUntil == null ? null : (Number(bannedUntil) as Microseconds);
+  }
+
+  async unban(key: string) {
+    await new Promise((resolve, reject) => {
+      this.client.del(
+        makeDerivedKey(key, 'violations'),
+        makeDerivedKey(key, 'ban'),
+        (err: Error | null) => (err ? reject(err) : resolve(undefined)),
+      );
+    });
+  }
+
+  /**
+   * Overrides are stored as JSON in their own key, without an expiry. It is derived from the key,
+   * keeping its hash tag, so it is in the same Redis Cluster slot.
+   */
+  async getLimitOverride(key: string): Promise<Partial<RateLimitTierOptions> | null> {
+    const stored = await new Promise<unknown>((resolve, reject) => {
+      this.client.get(
+        makeDerivedKey(key, 'limits'),
+        (err: Error | null, result: unknown) => (err ? reject(err) : resolve(result)),
+      );
+    });
+    return stored == null
+      ? null
+      : (JSON.parse(String(stored)) as Partial<RateLimitTierOptions>);
+  }
+
+  async setLimitOverride(key: string, limits: Partial<RateLimitTierOptions>) {
+    await new Promise((resolve, reject) => {
+      this.client.set(
+        makeDerivedKey(key, 'limits'),
+        JSON.stringify(limits),
+        (err: Error | null) => (err ? reject(err) : resolve(undefined)),
+      );
+    });
+  }
+
+  async clearLimitOverride(key: string) {
+    await new Promise((resolve, reject) => {
+      this.client.del(makeDerivedKey(key, 'limits'), (err: Error | null) =>
+        err ? reject(err) : resolve(undefined),
+      );
+    });
+  }
+
+  /**
+   * Runs the variant of a script passed the caller's time that reads the server's time if
+   * `serverTime` is set.
+   */
+  private runTimedScript(
+    scripts: Record<keyof typeof timePreludes, RedisScript>,
+    keys: Array<string>,
+    args: Array<string | number>,
+  ) {
+    const { script, sha } = scripts[this.serverTime ? 'server' : 'local'];
+    return this.runScript(script, sha, keys, args);
+  }
+
+  /**
+   * Runs a Lua script by its SHA, falling back to sending the full script if Redis does not have it
+   * cached yet. `BANNED` errors from `checkBan` reject with a `KeyBannedError`.
+   */
+  private runScript(
+    script: string,
+    sha: string,
+    keys: Array<string>,
+    args: Array<string | number>,
+  ): Promise<unknown> {
+    const scriptArgs = [keys.length, ...keys, ...args.map(String)];
+    return new Promise((resolve, reject) => {
+      const callback: RedisCallback = (err, result) => {
+        if (err && String(err.message).startsWith('BANNED ')) {
+          return reject(new KeyBannedError(Number(err.message.slice(7)) as Microseconds));
+        }
+        return err ? reject(err) : resolve(result);
+      };
+      this.client.evalsha(sha, ...scriptArgs, (err: Error | null, result: unknown) => {
+        if (err && String(err.message).startsWith('NOSCRIPT')) {
+          return this.client.eval(script, ...scriptArgs, callback);
+        }
+        return callback(err, result);
+      });
+    });
+  }
+
+  private getZRangeResult(zRangeOutput: Array<unknown>) {
+    if (!Array.isArray(zRangeOutput[1])) {
+      // Standard redis client, regular mode.
+      return zRangeOutput as Array<string>;
+    } else {
+      // ioredis client.
+      return zRangeOutput[1] as Array<string>;
+    }
+  }
+
+  private extractActionsFromZRangeResult(zRangeResult: Array<string>) {
+    // Members (even indexes) are `uuid:weight`, and scores (odd indexes) are timestamps. Members
+    // written by older versions are a bare uuid, and count as a single action.
+    // Convert with `String` and `Number` because values may be buffers or strings.
+    const actions: Array<Action> = [];
+    for (let i = 0; i < zRangeResult.length; i += 2) {
+      const member = String(zRangeResult[i]);
+      const separatorIndex = member.lastIndexOf(':');
+      actions.push({
+        timestamp: Number(zRangeResult[i + 1]) as Microseconds,
+        weight: separatorIndex === -1 ? 1 : Number(member.slice(separatorIndex + 1)),
+      });
+    }
+    return actions;
+  }
+}
+
+/**
+ * Returns the sorted set member for the action, in the `uuid:weight` format. The weight is stored in
+ * the member, since the score is already used for the timestamp. The ids of actions recorded by
+ * `limitWithInfo` are already in this format, so they are used as they are, for `removeAction`.
+ */
+function makeMember(action: Action) {
+  return action.id || `${uuid()}:${action.weight}`;
+}
+
+function flatten<T>(arrays: Array<Array<T>>): Array<T> {
+  return ([] as Array<T>).concat(...arrays);
+}
@@ -0,0 +1,222 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+import IORedis from 'ioredis';
+import redis from 'redis';
+import initSqlJs, { SqlJsStatic } from 'sql.js';
+
+import { FakeRateLimiter, VirtualClock, describeStoreConformance } from './testing';
+import {
+  FileStore,
+  InMemoryRateLimiter,
+  InMemoryStore,
+  RedisStore,
+  ShardedStore,
+  SqlClient,
+  SqlStore,
+} from '.';
+
+describe('VirtualClock', () => {
+  it('only moves when told to', () => {
+    const clock = new VirtualClock(1000);
+    expect(clock.now()).toBe(1000000);
+    clock.advance(500);
+    expect(clock.now()).toBe(1500000);
+    clock.set(0);
+    expect(clock.now()).toBe(0);
+    expect(() => clock.advance(-1)).toThrow('backwards');
+  });
+
+  it('is honoured by rate limiters', async () => {
+    const clock = new VirtualClock();
+    const limiter = new InMemoryRateLimiter({
+      interval: 1000,
+      maxInInterval: 1,
+      clock: clock.now,
+    });
+
+    expect(await limiter.limit(1)).toBe(false);
+    clock.advance(999);
+    expect(await limiter.wouldLimit(1)).toBe(true);
+    clock.advance(1);
+    expect(await limiter.limit(1)).toBe(false);
+    await limiter.dispose();
+  });
+});
+
+describe('FakeRateLimiter', () => {
+  it('returns the scripted results in order, then allows every action', async () => {
+    const limiter = new FakeRateLimiter({
+      maxInInterval: 5,
+      results: [{ blocked: true, millisecondsUntilAllowed: 100 }],
+    });
+    limiter.enqueue({ actionsRemaining: 2 });
+
+    expect(await limiter.limitWithInfo(1)).toEqual({
+      blocked: true,
+      blockedDueToCount: true,
+      blockedDueToMinDifference: false,
+      millisecondsUntilAllowed: 100,
+      actionsRemaining: 0,
+      maxInInterval: 5,
+    });
+    expect(await limiter.wouldLimitWithInfo(1)).toMatchObject({
+      blocked: false,
+      actionsRemaining: 2,
+    });
+    expect(await limiter.limitManyWithInfo([1, 2], { weight: 2 })).toEqual([
+      expect.objectContaining({ blocked: false, actionsRemaining: 5 }),
+      expect.objectContaining({ blocked: false, actionsRemaining: 5 }),
+    ]);
+  });
+
+  it('records calls, and emits events for attempted actions', async () => {
+    const limiter = new FakeRateLimiter({ results: [{}, { blocked: true }] });
+    const onAllowed = jest.fn();
+    const onBlocked = jest.fn();
+    limiter.on('allowed', onAllowed);
+    limiter.on('blocked', onBlocked);
+
+    expect(await limiter.wouldLimit('a', 2)).toBe(false);
+    expect(await limiter.limit('a')).toBe(true);
+
+    expect(limiter.calls).toEqual([
+      { method: 'wouldLimit', id: 'a', weight: 2 },
+      { method: 'limit', id: 'a', weight: 1 },
+    ]);
+    expect(onAllowed).not.toHaveBeenCalled();
+    expect(onBlocked).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'a', weight: 1 }),
+    );
+  });
+
+  it('waits for blocked results in acquire and wrap', async () => {
+    const limiter = new FakeRateLimiter({
+      results: [
+        { blocked: true, millisecondsUntilAllowed: 10 },
+        {},
+        { blocked: true, millisecondsUntilAllowed: 10 },
+      ],
+    });
+    const onAllowed = jest.fn();
+    limiter.on('allowed', onAllowed);
+
+    expect(await limiter.acquire('a', { weight: 2 })).toMatchObject({ blocked: false });
+    const double = limiter.wrap(
+      (value: number) => value * 2,
+      () => 'b',
+    );
+    expect(await double(2)).toBe(4);
+
+    expect(limiter.calls).toEqual([
+      { method: 'acquire', id: 'a', weight: 2 },
+      { method: 'acquire', id: 'a', weight: 2 },
+      { method: 'acquire', id: 'b', weight: 1 },
+      { method: 'acquire', id: 'b', weight: 1 },
+    ]);
+    expect(onAllowed).toHaveBeenCalledTimes(2);
+  });
+
+  it('rejects acquire if waiting would take longer than the timeout', async () => {
+    const limiter = new FakeRateLimiter({
+      results: [{ blocked: true, millisecondsUntilAllowed: 100 }],
+    });
+    await expect(limiter.acquire('a', { timeoutMs: 50 })).rejects.toThrow('within 50ms');
+  });
+
+  it('records clears and refunds, and reports no usage', async () => {
+    const clock = new VirtualClock(5000);
+    const limiter = new FakeRateLimiter({ clock: clock.now });
+    const onCleared = jest.fn();
+    limiter.on('cleared', onCleared);
+
+    await limiter.clear('a');
+    expect(await limiter.refund('a', 'token')).toBe(true);
+    expect(await limiter.getUsage('a')).toEqual({
+      actions: [],
+      windowStart: 4000000,
+      nextAllowedAt: 5000000,
+    });
+
+    expect(limiter.calls).toEqual([
+      { method: 'clear', id: 'a' },
+      { method: 'refund', id: 'a', token: 'token' },
+    ]);
+    expect(onCleared).toHaveBeenCalledWith({ limiter: limiter.name, id: 'a' });
+  });
+});
+
+describe('describeStoreConformance', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.runAllTimers());
+
+  describeStoreConformance('InMemoryStore', () => new InMemoryStore());
+
+  describeStoreConformance(
+    'ShardedStore',
+    () => new ShardedStore({ stores: [new InMemoryStore(), new InMemoryStore()] }),
+  );
+
+  describe('FileStore', () => {
+    let directory: string;
+    beforeAll(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'rolling-rate-limiter-'));
+    });
+    afterAll(() => fs.rmdir(directory, { recursive: true }));
+
+    describeStoreConformance(
+      'FileStore',
+      () => new FileStore({ path: path.join(directory, 'state.json') }),
+    );
+  });
+
+  describe('SqlStore', () => {
+    let SQL: SqlJsStatic;
+    beforeAll(async () => {
+      SQL = await initSqlJs();
+    });
+
+    describeStoreConformance('SqlStore (SQLite)', async () => {
+      const db = new SQL.Database();
+      const client: SqlClient = {
+        async query(sql, params) {
+          const statement = db.prepare(sql, params);
+          const rows = [];
+          while (statement.step()) rows.push(statement.getAsObject());
+          statement.free();
+          return rows;
+        },
+      };
+      const store = new SqlStore({ client });
+      await store.createTable();
+      return store;
+    });
+  });
+
+  describe('RedisStore', () => {
+    let client: redis.RedisClient;
+    beforeEach(() => {
+      client = redis.createClient();
+    });
+    afterEach((cb) => client.quit(cb));
+
+    describeStoreConformance(
+      'RedisStore (`redis` client)',
+      () => new RedisStore({ client }),
+    );
+  });
+
+  describe('RedisStore', () => {
+    let client: IORedis.Redis;
+    beforeEach(() => {
+      client = new IORedis();
+    });
+    afterEach((cb) => client.quit(cb));
+
+    describeStoreConformance(
+      'RedisStore (`ioredis` client)',
+      () => new RedisStore({ client }),
+    );
+  });
+});
@@ -0,0 +1,419 @@
+import { ListKeysResult, RateLimitStore } from './stores';
+import { Microseconds, Milliseconds, millisecondsToMicroseconds } from './time';
+import {
+  AcquireOptions,
+  Action,
+  Id,
+  LimitManyOptions,
+  RateLimiter,
+  RateLimiterOptions,
+  RateLimitInfo,
+  RateLimitTier,
+  RateLimitUsage,
+} from '.';
+
+/**
+ * Clock that only moves when told to, for tests. Pass `clock.now` as the `clock` option of a rate
+ * limiter, and call `advance` to move time forward.
+ */
+export class VirtualClock {
+  private time: Microseconds;
+
+  constructor(startMilliseconds = 0) {
+    this.time = millisecondsToMicroseconds(startMilliseconds as Milliseconds);
+  }
+
+  /**
+   * Returns the current time, in microseconds. Bound to the clock, so that it can be passed around
+   * on its own.
+   */
+  now = (): Microseconds => this.time;
+
+  /**
+   * Moves time forward by `milliseconds`.
+   */
+  advance(milliseconds: number) {
+    if (milliseconds < 0) throw new Error('Cannot move a `VirtualClock` backwards');
+    const microseconds = millisecondsToMicroseconds(milliseconds as Milliseconds);
+    this.time = ((this.time as number) + (microseconds as number)) as Microseconds;
+  }
+
+  /**
+   * Moves time to `milliseconds` after the start of the clock, which may be earlier than now.
+   */
+  set(milliseconds: number) {
+    this.time = millisecondsToMicroseconds(milliseconds as Milliseconds);
+  }
+}
+
+/**
+ * A result scripted for a `FakeRateLimiter`. Properties that are left out are those of an allowed
+ * action.
+ */
+export type FakeRateLimitResult = Partial<
+  Omit<RateLimitInfo, 'millisecondsUntilAllowed' | 'millisecondsUntilUnbanned'> & {
+    millisecondsUntilAllowed: number;
+    millisecondsUntilUnbanned: number;
+  }
+>;
+
+export interface FakeRateLimiterOptions extends Partial<RateLimiterOptions> {
+  /** Results to return, in order, before falling back to allowing every action. */
+  results?: Array<FakeRateLimitResult>;
+}
+
+/**
+ * A call made to a `FakeRateLimiter`. `method` is `'limit'` for attempted actions, `'wouldLimit'`
+ * for checks, and `'acquire'` for each attempt made by `acquire`. `weight` is not set for `clear`
+ * and `refund`, and `token` is only set for `refund`.
+ */
+export interface FakeRateLimiterCall {
+  method: 'limit' | 'wouldLimit' | 'acquire' | 'clear' | 'refund';
+  id: Id;
+  weight?: number;
+  token?: string;
+}
+
+/**
+ * Rate limiter for testing code that uses one, which never calls a store. Every call, whether it
+ * attempts an action or only checks, returns the next of the scripted `results`, and is recorded
+ * in `calls`. Once the results run out, every action is allowed. Attempted actions emit `allowed`
+ * and `blocked`, like a real limiter. `clear` and `refund` are recorded too, but do nothing else.
+ */
+export class FakeRateLimiter extends RateLimiter {
+  calls: Array<FakeRateLimiterCall>;
+  private results: Array<FakeRateLimitResult>;
+
+  constructor({ results = [], ...options }: FakeRateLimiterOptions = {}) {
+    super({ interval: 1000, maxInInterval: 1, ...options });
+    this.calls = [];
+    this.results = [...results];
+  }
+
+  /**
+   * Adds results to return after those already scripted.
+   */
+  enqueue(...results: Array<FakeRateLimitResult>) {
+    this.results.push(...results);
+  }
+
+  async limitWithInfo(id: Id, weight = 1): Promise<RateLimitInfo> {
+    const info = this.next('limit', id, weight);
+    const event = { limiter: this.name, id, weight, info, storeDuration: 0 };
+    this.emit(info.blocked ? 'blocked' : 'allowed', event);
+    return info;
+  }
+
+  async wouldLimitWithInfo(id: Id, weight = 1): Promise<RateLimitInfo> {
+    return this.next('wouldLimit', id, weight);
+  }
+
+  /**
+   * Takes the next result until one is allowed, waiting for the `millisecondsUntilAllowed` of each
+   * blocked one, so `wrap` waits in the same way. Rejects, like a real limiter, if waiting would
+   * take longer than `timeoutMs` in total, or if `signal` is aborted before an attempt.
+   */
+  async acquire(
+    id: Id,
+    { weight = 1, timeoutMs, signal }: AcquireOptions = {},
+  ): Promise<RateLimitInfo> {
+    let waited = 0;
+    for (;;) {
+      if (signal && signal.aborted) {
+        throw new Error('Waiting for the rate limiter was aborted');
+      }
+      const info = this.next('acquire', id, weight);
+      if (!info.blocked) {
+        this.emit('allowed', { limiter: this.name, id, weight, info, storeDuration: 0 });
+        return info;
+      }
+      const wait = Math.max(1, info.millisecondsUntilAllowed);
+      waited += wait;
+      if (timeoutMs != null && waited > timeoutMs) {
+        throw new Error(`Action was not allowed within ${timeoutMs}ms`);
+      }
+      await new Promise((resolve) => setTimeout(resolve, wait));
+    }
+  }
+
+  async clear(id: Id): Promise<void> {
+    this.calls.push({ method: 'clear', id });
+    this.emit('cleared', { limiter: this.name, id });
+  }
+
+  /**
+   * Resolves to `true`, as if the action had been found.
+   */
+  async refund(id: Id, token: string): Promise<boolean> {
+    this.calls.push({ method: 'refund', id, token });
+    return true;
+  }
+
+  /**
+   * Returns no actions, and that the next action is allowed now, without using up a result.
+   */
+  async getUsage(_id: Id): Promise<RateLimitUsage> {
+    const now = await this.getCurrentTime();
+    return {
+      actions: [],
+      windowStart: (now - this.interval) as Microseconds,
+      nextAllowedAt: now,
+    };
+  }
+
+  async limitManyWithInfo(
+    ids: Array<Id>,
+    { weight = 1 }: LimitManyOptions = {},
+  ): Promise<Array<RateLimitInfo>> {
+    return Promise.all(ids.map((id) => this.limitWithInfo(id, weight)));
+  }
+
+  async wouldLimitManyWithInfo(
+    ids: Array<Id>,
+    { weight = 1 }: Pick<LimitManyOptions, 'weight'> = {},
+  ): Promise<Array<RateLimitInfo>> {
+    return Promise.all(ids.map((id) => this.wouldLimitWithInfo(id, weight)));
+  }
+
+  /**
+   * Records the call, and returns the next scripted result, filled in with the defaults of an
+   * allowed action. Blocked results are blocked due to count, unless they give another reason.
+   */
+  private next(
+    method: FakeRateLimiterCall['method'],
+    id: Id,
+    weight: number,
+  ): RateLimitInfo {
+    this.calls.push({ method, id, weight });
+    const result = this.results.shift() || {};
+    const blocked = result.blocked || false;
+    return {
+      blocked,
+      blockedDueToCount:
+        blocked && !result.blockedDueToMinDifference && !result.blockedDueToBan,
+      blockedDueToMinDifference: false,
+      millisecondsUntilAllowed: 0 as Milliseconds,
+      actionsRemaining: blocked ? 0 : this.maxInInterval,
+      maxInInterval: this.maxInInterval,
+      ...result,
+    } as RateLimitInfo;
+  }
+}
+
+function action(timestamp: number, weight = 1): Action {
+  return { timestamp: timestamp as Microseconds, weight };
+}
+
+/**
+ * Defines a Jest test suite named `name` that checks that a store behaves as rate limiters expect.
+ * `createStore` is called before every test, and the store is disposed after it. Tests only use
+ * keys starting with `rolling-rate-limiter-conformance:`, and clear them first, so stores may be
+ * backed by a shared server. Tests of optional methods pass without checking anything if the
+ * store does not implement them.
+ */
+export function describeStoreConformance(
+  name: string,
+  createStore: () => RateLimitStore | Promise<RateLimitStore>,
+) {
+  const prefix = 'rolling-rate-limiter-conformance:';
+  const [a, b, c] = ['a', 'b', 'c'].map((key) => `${prefix}${key}`);
+  const expireAfter = 10000000 as Microseconds;
+  const options = (now: number, clearBefore = 0) => ({
+    now: now as Microseconds,
+    clearBefore: clearBefore as Microseconds,
+    expireAfter,
+  });
+  const tiers: Array<RateLimitTier> = [
+    {
+      interval: expireAfter,
+      maxInInterval: 2,
+      minDifference: 0 as Microseconds,
+    },
+  ];
+
+  describe(name, () => {
+    let store: RateLimitStore;
+
+    async function listAllKeys(match: string, count: number) {
+      const keys = new Set<string>();
+      const { listKeys } = store;
+      if (!listKeys) return keys;
+      let cursor: string | null = null;
+      do {
+        const page: ListKeysResult = await listKeys.call(store, { match, cursor, count });
+        page.keys.forEach((key) => keys.add(key));
+        cursor = page.cursor;
+      } while (cursor);
+      return keys;
+    }
+
+    beforeEach(async () => {
+      store = await createStore();
+      // Clears keys left over by earlier runs, since the store may be backed by a shared server.
+      if (store.clearByPattern) {
+        await store.clearByPattern(`${prefix}*`);
+      } else {
+        await Promise.all([a, b, c].map((key) => store.clear(key)));
+      }
+    });
+    afterEach(async () => {
+      if (store.dispose) await store.dispose();
+    });
+
+    it('returns the actions stored before the new one, oldest first', async () => {
+      expect(await store.getActions(a, { ...options(1), newAction: action(1) })).toEqual(
+        [],
+      );
+      expect(
+        await store.getActions(a, { ...options(2), newAction: action(2, 0.5) }),
+      ).toEqual([action(1)]);
+      expect(await store.getActions(a, options(3))).toEqual([action(1), action(2, 0.5)]);
+    });
+
+    it('drops actions at or before `clearBefore`', async () => {
+      await store.getActions(a, { ...options(1), newAction: action(1) });
+      await store.getActions(a, { ...options(2), newAction: action(2) });
+      expect(await store.getActions(a, options(3, 1))).toEqual([action(2)]);
+    });
+
+    it('only records the new action if allowed when `onlyIfAllowedBy` is set', async () => {
+      for (const now of [1, 2, 3]) {
+        await store.getActions(a, {
+          ...options(now),
+          newAction: action(now),
+          onlyIfAllowedBy: tiers,
+        });
+      }
+      expect(await store.getActions(a, options(4))).toEqual([action(1), action(2)]);
+    });
+
+    it('clears a single key', async () => {
+      await store.getActions(a, { ...options(1), newAction: action(1) });
+      await store.getActions(b, { ...options(1), newAction: action(1) });
+      await store.clear(a);
+      expect(await store.getActions(a, options(2))).toEqual([]);
+      expect(await store.getActions(b, options(2))).toEqual([action(1)]);
+    });
+
+    it('handles several keys at once, in order', async () => {
+      if (!store.getManyActions) return;
+      await store.getActions(b, { ...options(1), newAction: action(1) });
+      expect(
+        await store.getManyActions([a, b, c], { ...options(2), newAction: action(2) }),
+      ).toEqual([[], [action(1)], []]);
+      expect(await store.getActions(a, options(3))).toEqual([action(2)]);
+    });
+
+    it('records nothing for `allOrNothing` if any key blocks the action', async () => {
+      if (!store.getManyActions) return;
+      for (const now of [1, 2]) {
+        await store.getActions(b, { ...options(now), newAction: action(now) });
+      }
+      await store.getManyActions([a, b], {
+        ...options(3),
+        newAction: action(3),
+        onlyIfAllowedBy: tiers,
+        allOrNothing: true,
+      });
+      expect(await store.getActions(a, options(4))).toEqual([]);
+      expect(await store.getActions(b, options(4))).toEqual([action(1), action(2)]);
+    });
+
+    it('lists matching keys one page at a time', async () => {
+      if (!store.listKeys) return;
+      for (const key of [a, b, c]) {
+        await store.getActions(key, { ...options(1), newAction: action(1) });
+      }
+      expect(await listAllKeys(`${prefix}[ab]`, 1)).toEqual(new Set([a, b]));
+    });
+
+    it('clears keys matching a glob-style pattern', async () => {
+      if (!store.clearByPattern) return;
+      for (const key of [a, b, c]) {
+        await store.getActions(key, { ...options(1), newAction: action(1) });
+      }
+      expect(await store.clearByPattern(`${prefix}[ab]`)).toBe(2);
+      expect(await store.getActions(a, options(2))).toEqual([]);
+      expect(await store.getActions(c, options(2))).toEqual([action(1)]);
+    });
+
+    it('keeps action ids, and removes a single action by its id', async () => {
+      if (!store.removeAction) return;
+      await store.getActions(a, {
+        ...options(1),
+        newAction: { ...action(1), id: 'x:1' },
+      });
+      await store.getActions(a, {
+        ...options(2),
+        newAction: { ...action(2), id: 'y:1' },
+      });
+      expect(await store.removeAction(a, 'x:1')).toBe(true);
+      expect(await store.removeAction(a, 'x:1')).toBe(false);
+      expect(await store.getActions(a, options(3))).toEqual([
+        expect.objectContaining(action(2)),
+      ]);
+    });
+
+    it('records an action id only once', async () => {
+      if (!store.removeAction) return;
+      for (const now of [1, 2]) {
+        await store.getActions(a, {
+          ...options(now),
+          newAction: { ...action(now), id: 'x:1' },
+        });
+      }
+      expect(await store.getActions(a, options(3))).toEqual([
+        expect.objectContaining(action(2)),
+      ]);
+    });
+
+    it('counts the weight of the current and previous windows', async () => {
+      if (!store.getCounts) return;
+      const countOptions = {
+        now: 1000 as Microseconds,
+        interval: 1000 as Microseconds,
+        expireAfter,
+      };
+      expect(await store.getCounts(a, { ...countOptions, increment: 1 })).toEqual({
+        previous: 0,
+        current: 0,
+        elapsed: 0,
+      });
+      await store.getCounts(a, { ...countOptions, increment: 0.5 });
+      expect(
+        await store.getCounts(a, { ...countOptions, now: 2500 as Microseconds }),
+      ).toEqual({
+        previous: 1.5,
+        current: 0,
+        elapsed: 500,
+      });
+    });
+
+    it('moves the arrival time forward', async () => {
+      if (!store.getArrivalTime) return;
+      const now = 1000 as Microseconds;
+      expect(await store.getArrivalTime(a, { now, increment: 100 as Microseconds })).toBe(
+        null,
+      );
+      expect(await store.getArrivalTime(a, { now })).toBe(1100);
+    });
+
+    it('stores limit overrides until they are cleared', async () => {
+      if (!store.getLimitOverride || !store.setLimitOverride || !store.clearLimitOverride)
+        return;
+      await store.clearLimitOverride(a);
+      await store.setLimitOverride(a, { maxInInterval: 5 });
+      expect(await store.getLimitOverride(a)).toEqual({ maxInInterval: 5 });
+      await store.clearLimitOverride(a);
+      expect(await store.getLimitOverride(a)).toBe(null);
+    });
+
+    it('keeps limit overrides apart from the keys it lists and clears', async () => {
+      if (!store.setLimitOverride || !store.clearLimitOverride || !store.listKeys) return;
+      await store.setLimitOverride(a, { maxInInterval: 5 });
+      expect(await listAllKeys(`${prefix}*`, 100)).toEqual(new Set());
+      if (store.clearByPattern) expect(await store.clearByPattern(`${prefix}*`)).toBe(0);
+      await store.clearLimitOverride(a);
+    });
+  });
+}
@@ -0,0 +1,25 @@
+describe('getCurrentMicroseconds', () => {
+  afterEach(() => {
+    jest.dontMock('microtime');
+    jest.restoreAllMocks();
+  });
+
+  it('falls back to `process.hrtime` if `microtime` is not installed', () => {
+    jest.doMock('microtime', () => {
+      throw new Error("Cannot find module 'microtime'");
+    });
+    // The fallback counts from the wall clock time at which the module was loaded.
+    jest.spyOn(Date, 'now').mockReturnValue(5000);
+    jest.isolateModules(() => {
+      // eslint-disable-next-line @typescript-eslint/no-var-requires, global-require
+      const { getCurrentMicroseconds } = require('./time') as typeof import('./time');
+      const first = getCurrentMicroseconds();
+      const second = getCurrentMicroseconds();
+
+      expect(Number.isInteger(first)).toBe(true);
+      expect(first).toBeGreaterThanOrEqual(5000000);
+      expect(first).toBeLessThan(6000000);
+      expect(second).toBeGreaterThanOrEqual(first);
+    });
+  });
+});
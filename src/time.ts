@@ -0,0 +1,43 @@
+export type Seconds = number & { __brand: 'seconds' };
+export type Milliseconds = number & { __brand: 'milliseconds' };
+export type Microseconds = number & { __brand: 'microseconds' };
+
+/**
+ * Returns the current time, in microseconds. Rate limiters call this unless they are passed a
+ * `clock`.
+ */
+export type Clock = () => number | Promise<number>;
+
+// `microtime` is a native addon, so it is an optional dependency, used if it could be installed.
+let microtime: typeof import('microtime') | null;
+try {
+  // eslint-disable-next-line @typescript-eslint/no-var-requires, global-require
+  microtime = require('microtime') as typeof import('microtime');
+} catch (err) {
+  microtime = null;
+}
+
+// Without `microtime`, time is measured with the monotonic `process.hrtime`, starting from the wall
+// clock time at which this module was loaded.
+const startMicroseconds = Date.now() * 1000;
+const startHrtime = process.hrtime();
+
+export function getCurrentMicroseconds() {
+  if (microtime) return microtime.now() as Microseconds;
+  const [seconds, nanoseconds] = process.hrtime(startHrtime);
+  return (startMicroseconds +
+    seconds * 1e6 +
+    Math.floor(nanoseconds / 1000)) as Microseconds;
+}
+
+export function millisecondsToMicroseconds(milliseconds: Milliseconds) {
+  return (1000 * milliseconds) as Microseconds;
+}
+
+export function microsecondsToMilliseconds(microseconds: Microseconds) {
+  return Math.ceil(microseconds / 1000) as Milliseconds;
+}
+
+export function microsecondsToSeconds(microseconds: Microseconds) {
+  return Math.ceil(microseconds / 1000 / 1000) as Seconds;
+}